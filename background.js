@@ -4,7 +4,21 @@
  * intercepted by LinkedIn's page JavaScript or Service Worker.
  */
 
-importScripts('lib/logger.js');
+importScripts(
+  'lib/logger.js',
+  'lib/connection-store.js',
+  'lib/snapshot-store.js',
+  'lib/csv.js',
+  'lib/audit-ledger.js',
+  'lib/text-match.js',
+  'lib/protection.js',
+  'lib/headline-analyzer.js',
+  'lib/removal-queue.js',
+  'lib/removal-quota.js',
+  'lib/removal-schedule.js',
+  'lib/throttle.js',
+  'lib/removal-detector.js'
+);
 
 const BASE_URL = 'https://www.linkedin.com';
 const REMOVE_ENDPOINT = BASE_URL + '/voyager/api/relationships/dash/memberRelationships?action=removeFromMyConnections';
@@ -68,10 +82,14 @@ const ENDPOINT_CONFIGS = [
 let workingConfig = null;
 let workingRemovalStrategy = null; // Cache which removal strategy works
 
-// ---- Rate Limiter State ----
-let isPaused = false;
-let isCancelled = false;
-let pauseResolve = null;
+// ---- Removal Job State ----
+// The job itself is kept in storage (lib/removal-queue.js); these only describe this worker instance
+let jobRunning = false;      // A runRemovalJob loop is active in this worker
+let wakeJobWait = null;      // Ends the loop's current wait early (set only while it waits)
+const JOB_ALARM = 'lcm-removal-job';
+const MAX_RATE_LIMIT_ATTEMPTS = 6;  // Per item, each with a longer backoff
+const MAX_FETCH_THROTTLES = 8;      // 429s in a row before a fetch gives up
+const SIMULATED_REQUEST_MS = 1500; // Typical removal round trip, for dry-run estimates
 
 const RATE = {
   minDelay: 2000,
@@ -80,9 +98,13 @@ const RATE = {
   batchPauseMin: 15000,
   batchPauseMax: 30000,
   jitter: 0.3,
-  backoff: 60000,
+  backoff: 60000,       // First removal backoff after a 429; doubles per 429 in a row (lib/throttle.js)
+  fetchBackoff: 30000,  // Same for fetching pages
 };
 
+// Fetches are short-lived, so their throttle state only lives in the worker
+let fetchThrottle = Throttle.initial();
+
 // ================================================================
 // Fetch Timeout Wrapper
 // ================================================================
@@ -156,13 +178,9 @@ function parseConnectionsResponse(json) {
   Logger.debug(TAG, 'Entity types', [...types]);
 
   let connections = tryParseMiniProfiles(included);
-  if (connections.length > 0) return connections;
-
-  connections = tryParseByNameFields(included);
-  if (connections.length > 0) return connections;
-
-  connections = tryParseElements(elements, included);
-  if (connections.length > 0) return connections;
+  if (connections.length === 0) connections = tryParseByNameFields(included);
+  if (connections.length === 0) connections = tryParseElements(elements, included);
+  if (connections.length > 0) return connections.map(HeadlineAnalyzer.enrich);
 
   // Diagnostic dump
   Logger.warn(TAG, 'All parse strategies failed');
@@ -341,6 +359,44 @@ function extractProfilePicture(entity) {
 // API Fetching
 // ================================================================
 
+/**
+ * A 429 as the 'RATE_LIMITED' error, carrying the server's Retry-After (ms) if it sent one.
+ */
+function rateLimitError(response) {
+  const err = new Error('RATE_LIMITED');
+  err.httpStatus = 429;
+  err.retryAfterMs = Throttle.parseRetryAfter(response.headers.get('retry-after'));
+  return err;
+}
+
+/**
+ * Run a fetch step, backing off adaptively on 429s until it gets through.
+ * @throws {Error} When LinkedIn keeps throttling after MAX_FETCH_THROTTLES tries
+ */
+async function withFetchThrottle(step, context) {
+  for (;;) {
+    try {
+      const result = await step();
+      fetchThrottle = Throttle.onSuccess(fetchThrottle);
+      return result;
+    } catch (err) {
+      if (err.message !== 'RATE_LIMITED') throw err;
+      const { state, waitMs } = Throttle.onThrottled(fetchThrottle, err.retryAfterMs, RATE.fetchBackoff);
+      fetchThrottle = state;
+      if (state.strikes > MAX_FETCH_THROTTLES) {
+        const giveUp = new Error('LinkedIn kept rate limiting the fetch. Wait a while and try again.');
+        giveUp.rateLimited = true;
+        throw giveUp;
+      }
+      Logger.warn(TAG, 'Rate limited during fetch, backing off', {
+        ...context, waitMs, retryAfterMs: err.retryAfterMs, strikes: state.strikes,
+      });
+      sendFetchThrottled({ waitMs, retryAfterMs: err.retryAfterMs, strikes: state.strikes, factor: Throttle.delayFactor(state) });
+      await sleep(waitMs);
+    }
+  }
+}
+
 async function tryFetchWithConfig(config, start) {
   const params = new URLSearchParams({ ...config.params, start: String(start) });
   const url = `${config.url}?${params.toString()}`;
@@ -352,7 +408,7 @@ async function tryFetchWithConfig(config, start) {
 
   if (!response.ok) {
     Logger.warn(TAG, `${config.name} returned ${response.status}`, { start });
-    if (response.status === 429) throw new Error('RATE_LIMITED');
+    if (response.status === 429) throw rateLimitError(response);
     return null;
   }
 
@@ -396,7 +452,7 @@ async function discoverEndpoint() {
 async function fetchAllConnections(sendProgress) {
   Logger.info(TAG, 'Starting connection fetch');
 
-  const firstPage = await discoverEndpoint();
+  const firstPage = await withFetchThrottle(discoverEndpoint, { start: 0 });
   const allConnections = [...firstPage.connections];
   // Use reported total if available, otherwise estimate high and paginate until empty
   let total = firstPage.total > 0 ? firstPage.total : 10000;
@@ -414,61 +470,163 @@ async function fetchAllConnections(sendProgress) {
   let consecutiveEmpty = 0;
 
   while (start < total) {
-    try {
-      const result = await tryFetchWithConfig(workingConfig, start);
-      if (!result) {
-        Logger.warn(TAG, 'Null result, stopping pagination', { start });
-        break;
-      }
+    const result = await fetchPage(start);
+    if (!result) {
+      Logger.warn(TAG, 'Null result, stopping pagination', { start });
+      break;
+    }
 
-      const pageCount = result.connections.length;
-      allConnections.push(...result.connections);
-      start += PAGE_SIZE;
+    const pageCount = result.connections.length;
+    allConnections.push(...result.connections);
+    start += PAGE_SIZE;
 
-      // Update total if the API now reports a real number
-      if (result.total > 0 && result.total > total) {
-        total = result.total;
-      }
-      // If we got a real total, use it; the "10000" estimate can be replaced
-      if (result.total > 0 && total === 10000) {
-        total = result.total;
-      }
+    // Update total if the API now reports a real number
+    if (result.total > 0 && result.total > total) {
+      total = result.total;
+    }
+    // If we got a real total, use it; the "10000" estimate can be replaced
+    if (result.total > 0 && total === 10000) {
+      total = result.total;
+    }
 
-      // If total is still the 10000 estimate, show fetched count as the "total" for now
-      sendProgress(allConnections.length, total >= 10000 ? 0 : total);
+    // If total is still the 10000 estimate, show fetched count as the "total" for now
+    sendProgress(allConnections.length, total >= 10000 ? 0 : total);
 
-      // Stop if we got an empty page
-      if (pageCount === 0) {
-        consecutiveEmpty++;
-        if (consecutiveEmpty >= 2) {
-          Logger.info(TAG, 'Two consecutive empty pages, stopping', { start });
-          break;
-        }
-      } else {
-        consecutiveEmpty = 0;
+    // Stop if we got an empty page
+    if (pageCount === 0) {
+      consecutiveEmpty++;
+      if (consecutiveEmpty >= 2) {
+        Logger.info(TAG, 'Two consecutive empty pages, stopping', { start });
+        break;
       }
+    } else {
+      consecutiveEmpty = 0;
+    }
 
-      Logger.debug(TAG, `Page fetched`, { start: start - PAGE_SIZE, pageCount, totalSoFar: allConnections.length });
+    Logger.debug(TAG, `Page fetched`, { start: start - PAGE_SIZE, pageCount, totalSoFar: allConnections.length });
 
-      await sleep(300 + Math.random() * 200);
+    await sleep((300 + Math.random() * 200) * Throttle.delayFactor(fetchThrottle));
+  }
+
+  Logger.info(TAG, 'Fetch complete', { total: allConnections.length });
+  return allConnections;
+}
+
+/**
+ * Fetch one page with the working endpoint, waiting out rate limits and timeouts.
+ * Returns null when pagination should stop.
+ * @throws {Error} When rate limiting doesn't let up (see withFetchThrottle)
+ */
+async function fetchPage(start) {
+  for (;;) {
+    try {
+      return await withFetchThrottle(() => tryFetchWithConfig(workingConfig, start), { start });
     } catch (err) {
-      if (err.message === 'RATE_LIMITED') {
-        Logger.warn(TAG, 'Rate limited during fetch, waiting 30s', { start });
-        await sleep(30000);
-        continue;
-      }
+      // Stopping here would leave a silently partial list
+      if (err.rateLimited) throw err;
       if (err.message.startsWith('FETCH_TIMEOUT')) {
         Logger.error(TAG, 'Fetch timed out', { start, error: err.message });
         await sleep(5000);
         continue;
       }
       Logger.error(TAG, 'Error during fetch page', { start, error: err.message });
-      break;
+      return null;
     }
   }
+}
+
+/**
+ * Incremental refresh against a cached list.
+ * Pages are sorted RECENTLY_ADDED, so new connections are at the front: walk
+ * pages until one contains only known connectionUrns, then compare the
+ * reported total against the merged count to detect removals. When they
+ * disagree, only the pages needed to find who left are fetched
+ * (lib/removal-detector.js); a full fetch is the fallback when the cache
+ * doesn't line up with the live list.
+ */
+async function refreshConnections(cached, sendProgress) {
+  if (!cached || cached.length === 0) {
+    const connections = await fetchAllConnections(sendProgress);
+    return { connections, added: connections.length, removed: 0, mode: 'full', removalsChecked: true };
+  }
 
-  Logger.info(TAG, 'Fetch complete', { total: allConnections.length });
-  return allConnections;
+  Logger.info(TAG, 'Starting incremental refresh', { cached: cached.length });
+
+  const known = new Set(cached.map(c => c.connectionUrn));
+  const added = [];
+  const pages = new Map(); // start -> connections, reused by the removal search
+  let page = await withFetchThrottle(discoverEndpoint, { start: 0 });
+  const total = page.total;
+  let start = 0;
+
+  for (;;) {
+    pages.set(start, page.connections);
+    const fresh = page.connections.filter(c => !known.has(c.connectionUrn));
+    for (const conn of fresh) known.add(conn.connectionUrn);
+    added.push(...fresh);
+    sendProgress(added.length, 0, 'incremental');
+
+    Logger.debug(TAG, 'Incremental page', { start, pageCount: page.connections.length, newCount: fresh.length });
+
+    // A page with nothing new (or a short/empty page) means we've reached the cached list
+    if (fresh.length === 0 || page.connections.length < PAGE_SIZE) break;
+
+    start += PAGE_SIZE;
+    await sleep((300 + Math.random() * 200) * Throttle.delayFactor(fetchThrottle));
+    page = await fetchPage(start);
+    if (!page) {
+      throw new Error('Incremental refresh stopped early. Try a full refresh.');
+    }
+  }
+
+  const merged = [...added, ...cached];
+
+  if (!total) {
+    Logger.warn(TAG, 'No total reported, skipping removal check', { merged: merged.length });
+    return { connections: merged, added: added.length, removed: 0, mode: 'incremental', removalsChecked: false };
+  }
+
+  if (merged.length === total) {
+    Logger.info(TAG, 'Incremental refresh complete', { added: added.length, total });
+    return { connections: merged, added: added.length, removed: 0, mode: 'incremental', removalsChecked: true };
+  }
+
+  // Counts disagree: find who left by probing only the pages that tell us
+  Logger.info(TAG, 'Count mismatch, locating removals', { merged: merged.length, reportedTotal: total });
+  let removedUrns = null;
+  try {
+    removedUrns = await RemovalDetector.locate({
+      cached,
+      total,
+      addedCount: added.length,
+      pageSize: PAGE_SIZE,
+      pages,
+      fetchPage: async pageStart => {
+        await sleep((300 + Math.random() * 200) * Throttle.delayFactor(fetchThrottle));
+        const result = await fetchPage(pageStart);
+        return result ? result.connections : null;
+      },
+    });
+  } catch (err) {
+    // Rate limits already went through the fetch backoff; a full fetch would hit them too
+    if (err.rateLimited) throw err;
+    Logger.warn(TAG, 'Locating removals failed', { error: err.message });
+  }
+  if (removedUrns) {
+    const connections = merged.filter(c => !removedUrns.has(c.connectionUrn));
+    Logger.info(TAG, 'Incremental refresh complete', { added: added.length, removed: removedUrns.size, pagesFetched: pages.size, total });
+    return { connections, added: added.length, removed: removedUrns.size, mode: 'incremental', removalsChecked: true };
+  }
+
+  // The cache doesn't line up with the live list (e.g. it was incomplete). Re-walk everything.
+  Logger.info(TAG, 'Cache out of line, falling back to full fetch', { merged: merged.length, reportedTotal: total });
+  const connections = await fetchAllConnections(sendProgress);
+  const current = new Set(connections.map(c => c.connectionUrn));
+  const cachedUrns = new Set(cached.map(c => c.connectionUrn));
+  const removed = cached.filter(c => !current.has(c.connectionUrn)).length;
+  const addedCount = connections.filter(c => !cachedUrns.has(c.connectionUrn)).length;
+
+  return { connections, added: addedCount, removed, mode: 'full', removalsChecked: true };
 }
 
 async function tryRemovalStrategy(strategyNum, connection, headers) {
@@ -521,6 +679,11 @@ async function tryRemovalStrategy(strategyNum, connection, headers) {
   }
 }
 
+/**
+ * Remove one connection, trying each strategy until one succeeds.
+ * @returns {Promise<{strategy: number, httpStatus: number}>}
+ * @throws {Error} 'RATE_LIMITED' on 429; otherwise an error carrying the last httpStatus
+ */
 async function removeConnection(connection) {
   const headers = await getHeaders();
   headers['content-type'] = 'application/json';
@@ -536,6 +699,7 @@ async function removeConnection(connection) {
     ? [workingRemovalStrategy, ...allStrategies.filter(s => s !== workingRemovalStrategy)]
     : allStrategies;
 
+  let lastStatus = null;
   for (const stratNum of strategies) {
     try {
       const resp = await tryRemovalStrategy(stratNum, connection, headers);
@@ -544,9 +708,10 @@ async function removeConnection(connection) {
       if (resp.ok || resp.status === 200 || resp.status === 204) {
         Logger.info(TAG, `Removal succeeded via strategy ${stratNum}`, { name: connection.name, status: resp.status });
         workingRemovalStrategy = stratNum;
-        return true;
+        return { strategy: stratNum, httpStatus: resp.status };
       }
-      if (resp.status === 429) throw new Error('RATE_LIMITED');
+      if (resp.status === 429) throw rateLimitError(resp);
+      lastStatus = resp.status;
       const body = await resp.text().catch(() => '');
       Logger.warn(TAG, `Strategy ${stratNum} failed`, { status: resp.status, body: body.substring(0, 500) });
     } catch (err) {
@@ -555,7 +720,9 @@ async function removeConnection(connection) {
     }
   }
 
-  throw new Error(`All removal strategies failed for ${connection.name || connectionUrn}`);
+  const error = new Error(`All removal strategies failed for ${connection.name || connectionUrn}`);
+  error.httpStatus = lastStatus;
+  throw error;
 }
 
 // ================================================================
@@ -563,22 +730,27 @@ async function removeConnection(connection) {
 // ================================================================
 
 function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The removal loop's wait: like sleep(), but interruptJobWait() ends it early
+ * so pause, cancel and changed limits take effect right away.
+ */
+function waitForJob(ms) {
   return new Promise(resolve => {
-    const timer = setTimeout(resolve, ms);
-    const check = setInterval(() => {
-      if (isCancelled) {
-        clearTimeout(timer);
-        clearInterval(check);
-        resolve();
-      }
-    }, 100);
-    setTimeout(() => clearInterval(check), ms + 50);
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      wakeJobWait = null;
+      resolve();
+    }
+    wakeJobWait = done;
   });
 }
 
-function waitWhilePaused() {
-  if (!isPaused) return Promise.resolve();
-  return new Promise(resolve => { pauseResolve = resolve; });
+function interruptJobWait() {
+  if (wakeJobWait) wakeJobWait();
 }
 
 function addJitter(base) {
@@ -593,77 +765,399 @@ function getBatchPause() {
   return addJitter(RATE.batchPauseMin + Math.random() * (RATE.batchPauseMax - RATE.batchPauseMin));
 }
 
-async function bulkRemove(connections, sendProgress) {
-  isPaused = false;
-  isCancelled = false;
-  let completed = 0;
-  const failed = [];
-
-  Logger.info(TAG, 'Starting bulk removal', { count: connections.length });
-
-  for (let i = 0; i < connections.length; i++) {
-    if (isCancelled) {
-      sendProgress(completed, connections.length, null, 'cancelled');
-      Logger.info(TAG, 'Bulk removal cancelled', { completed, failed: failed.length });
-      return { completed, failed, cancelled: true };
-    }
+// ================================================================
+// Removal Jobs
+// ================================================================
 
-    await waitWhilePaused();
-    if (isCancelled) {
-      sendProgress(completed, connections.length, null, 'cancelled');
-      Logger.info(TAG, 'Bulk removal cancelled', { completed, failed: failed.length });
-      return { completed, failed, cancelled: true };
-    }
+/**
+ * Append a removal attempt to the audit ledger. Never throws - a storage
+ * failure must not abort the run.
+ */
+async function recordAttempt(connection, outcome, details) {
+  try {
+    await AuditLedger.append(AuditLedger.createEntry(connection, outcome, details));
+  } catch (err) {
+    Logger.warn(TAG, 'Failed to write audit entry', { name: connection.name, error: err.message });
+  }
+}
 
-    const conn = connections[i];
-    sendProgress(completed, connections.length, conn.name, 'removing');
+/**
+ * Tell the side panel (if open) how the job is going.
+ * @param {Object} job
+ * @param {string|null} currentItem - Name of the connection being handled
+ * @param {string} status - 'removing', 'removed', 'simulated', 'failed', 'skipped', 'rate_limited',
+ *   'batch_pause', 'held', 'resumed', 'paused', 'done' or 'cancelled'
+ * @param {Object} [throttle] - For 'rate_limited': { waitMs, retryAfterMs, strikes, factor }
+ */
+function sendRemoveProgress(job, currentItem, status, throttle) {
+  const summary = RemovalQueue.summarize(job);
+  chrome.runtime.sendMessage({
+    action: 'removeProgress',
+    payload: {
+      completed: summary.completed,
+      processed: summary.processed,
+      total: summary.total,
+      currentItem,
+      status,
+      resumedAt: job.resumedAt,
+      dryRun: job.dryRun,
+      hold: job.hold,
+      spreadDays: job.spreadDays,
+      throttle,
+      // Final results ride along with the last message
+      result: status === 'done' || status === 'cancelled' ? summary : undefined,
+    },
+  }).catch(err => Logger.debug(TAG, 'Remove progress not delivered', { error: err.message }));
+}
 
+/**
+ * Handle one pending item: protection check, removal, ledger entry, and
+ * scheduling of the next item. Everything is persisted before returning.
+ * Dry runs do all of this except the removal request and the ledger entry.
+ */
+async function processJobItem(job, index) {
+  const item = job.items[index];
+  const conn = item.connection;
+  const changes = { status: 'pending', error: '', attempts: item.attempts };
+  if (job.dryRun) changes.offsetMs = job.estimatedMs;
+  const audit = job.dryRun ? () => Promise.resolve() : recordAttempt;
+  let throttle = job.throttle || Throttle.initial();
+  let throttleEvent = null;
+  let progress = null;
+  let delay = null;
+
+  // Enforced here, not just in the panel: re-read each time so a star or rule added mid-run still counts
+  const protection = await Promise.all([Protection.getList(), Protection.getRules()]).catch(err => {
+    Logger.error(TAG, 'Failed to read protection settings', { error: err.message });
+    return null;
+  });
+  const protectedReason = protection ? Protection.check(conn, ...protection) : null;
+
+  if (!protection) {
+    // Fail closed - never remove someone we can't verify
+    changes.status = 'failed';
+    changes.error = 'Protection settings unavailable';
+    await audit(conn, 'failed', { error: changes.error });
+    progress = 'failed';
+    delay = 0;
+  } else if (protectedReason) {
+    changes.status = 'skipped';
+    changes.error = `Protected: ${protectedReason}`;
+    await audit(conn, 'skipped', { error: changes.error });
+    Logger.info(TAG, 'Skipped protected connection', { name: conn.name, reason: protectedReason });
+    progress = 'skipped';
+    delay = 0;
+  } else if (job.dryRun) {
+    sendRemoveProgress(job, conn.name, 'removing');
+    changes.status = 'simulated';
+    progress = 'simulated';
+  } else {
+    sendRemoveProgress(job, conn.name, 'removing');
     try {
-      await removeConnection(conn);
-      completed++;
-      sendProgress(completed, connections.length, conn.name, 'removed');
+      const outcome = await removeConnection(conn);
+      const eased = Throttle.onSuccess(throttle);
+      if (eased.level < throttle.level) {
+        Logger.info(TAG, 'No throttling for a while, speeding back up', { factor: Throttle.delayFactor(eased) });
+      }
+      throttle = eased;
+      changes.status = 'removed';
+      await RemovalQuota.record()
+        .catch(err => Logger.warn(TAG, 'Failed to record removal for quota', { error: err.message }));
+      await recordAttempt(conn, 'removed', outcome);
+      progress = 'removed';
     } catch (err) {
+      changes.attempts++;
       if (err.message === 'RATE_LIMITED') {
-        sendProgress(completed, connections.length, conn.name, 'rate_limited');
-        Logger.warn(TAG, 'Rate limited during removal, backing off', { completed, name: conn.name });
-        await sleep(RATE.backoff);
-        if (!isCancelled) {
-          try {
-            await removeConnection(conn);
-            completed++;
-            sendProgress(completed, connections.length, conn.name, 'removed');
-          } catch (retryErr) {
-            failed.push({ item: conn, error: retryErr.message });
-            sendProgress(completed, connections.length, conn.name, 'failed');
-            Logger.error(TAG, 'Removal failed after retry', { name: conn.name, error: retryErr.message });
-          }
-        }
+        const result = Throttle.onThrottled(throttle, err.retryAfterMs, RATE.backoff);
+        throttle = result.state;
+        throttleEvent = {
+          waitMs: result.waitMs,
+          retryAfterMs: err.retryAfterMs,
+          strikes: throttle.strikes,
+          factor: Throttle.delayFactor(throttle),
+        };
+      }
+      if (err.message === 'RATE_LIMITED' && changes.attempts < MAX_RATE_LIMIT_ATTEMPTS) {
+        // Keep the item pending and retry after the backoff, even if the worker restarts meanwhile
+        Logger.warn(TAG, 'Rate limited during removal, backing off', { name: conn.name, ...throttleEvent });
+        progress = 'rate_limited';
       } else {
-        failed.push({ item: conn, error: err.message });
-        sendProgress(completed, connections.length, conn.name, 'failed');
+        changes.status = 'failed';
+        changes.error = err.message;
+        await recordAttempt(conn, 'failed', {
+          httpStatus: err.message === 'RATE_LIMITED' ? 429 : err.httpStatus,
+          error: err.message,
+        });
         Logger.error(TAG, 'Removal failed', { name: conn.name, error: err.message });
+        progress = 'failed';
       }
+      // Back off before the next request either way, retry or not
+      if (throttleEvent) delay = throttleEvent.waitMs;
     }
+  }
 
-    if (i < connections.length - 1 && !isCancelled) {
-      if ((i + 1) % RATE.batchSize === 0) {
-        sendProgress(completed, connections.length, null, 'batch_pause');
-        await sleep(getBatchPause());
-      } else {
-        await sleep(getItemDelay());
+  // Pace removals: a short delay per item and a longer pause after each batch
+  const batchDone = delay === null && (index + 1) % RATE.batchSize === 0;
+  if (delay === null) delay = batchDone ? getBatchPause() : Math.round(getItemDelay() * Throttle.delayFactor(throttle));
+  const isLast = index === job.items.length - 1;
+
+  const updated = await RemovalQueue.update(stored => {
+    Object.assign(stored.items[index], changes);
+    stored.hold = null;
+    stored.throttle = throttle;
+    if (job.dryRun) {
+      stored.estimatedMs += (progress === 'simulated' ? SIMULATED_REQUEST_MS : 0) + (isLast ? 0 : delay);
+    }
+    stored.nextRunAt = Date.now() + (job.dryRun && !job.realDelays ? 0 : delay);
+  });
+  if (!updated) return;
+  sendRemoveProgress(updated, conn.name, progress, throttleEvent);
+  if (throttleEvent && progress === 'failed') sendRemoveProgress(updated, conn.name, 'rate_limited', throttleEvent);
+  if (batchDone) sendRemoveProgress(updated, null, 'batch_pause');
+}
+
+/**
+ * What keeps a job from removing right now: a full quota, being outside the
+ * schedule window, or a spread job's share for today being used up.
+ * Dry runs are checked at their simulated time, with their would-be removals
+ * counted against the quotas, so the estimate includes every wait.
+ * @returns {Promise<{until: number, reason: string, message: string}|null>} - The longest hold
+ */
+async function getJobHold(job) {
+  const now = job.dryRun ? job.createdAt + job.estimatedMs : Date.now();
+  const [quotaSettings, log, schedule] = await Promise.all([
+    RemovalQuota.getSettings(), RemovalQuota.getLog(now), RemovalSchedule.getSettings(),
+  ]);
+  const simulated = job.dryRun
+    ? job.items.filter(item => item.status === 'simulated').map(item => job.createdAt + item.offsetMs)
+    : [];
+  const quota = RemovalQuota.evaluate(quotaSettings, [...log, ...simulated].sort((a, b) => a - b), now);
+  const holds = [];
+
+  if (quota.blockedUntil) {
+    const { limit, label } = quota.blockedBy;
+    holds.push({ until: quota.blockedUntil, reason: 'quota', message: `Quota reached (${limit} per ${label})` });
+  }
+  if (!RemovalSchedule.isOpen(schedule, now)) {
+    const next = RemovalSchedule.nextWindow(schedule, now);
+    if (next) {
+      holds.push({
+        until: next.opens,
+        reason: 'schedule',
+        message: `Outside the removal schedule (${RemovalSchedule.describe(schedule)})`,
+      });
+    }
+  }
+  const spreadUntil = RemovalQueue.spreadUntil(job, now);
+  if (spreadUntil) {
+    holds.push({ until: spreadUntil, reason: 'spread', message: `Today's share of a job spread over ${job.spreadDays} days is done` });
+  }
+
+  // Others still in force afterwards are found on the next check
+  return holds.sort((a, b) => b.until - a.until)[0] || null;
+}
+
+/**
+ * Hold the job until the given time. The wait is stored as nextRunAt and an
+ * alarm is set for it, so the job continues on time even if the worker stops.
+ */
+async function holdJob(job, hold) {
+  if (job.hold?.until !== hold.until || job.hold?.reason !== hold.reason) {
+    Logger.info(TAG, `${hold.message}, holding removal job`, { until: new Date(hold.until).toISOString() });
+  }
+  const updated = await RemovalQueue.update(stored => {
+    stored.hold = hold;
+    stored.nextRunAt = hold.until;
+  });
+  chrome.alarms.create(JOB_ALARM, { when: hold.until, periodInMinutes: 1 });
+  if (updated) sendRemoveProgress(updated, null, 'held');
+}
+
+/**
+ * A dry run doesn't wait for a hold: it moves its simulated clock past it.
+ */
+async function simulateHold(job, hold) {
+  const heldMs = hold.until - (job.createdAt + job.estimatedMs);
+  Logger.info(TAG, `Dry run: ${hold.message}, a real run would wait here`, { waitMs: heldMs });
+  await RemovalQueue.update(stored => {
+    stored.estimatedMs += heldMs;
+    stored.heldMs += heldMs;
+  });
+}
+
+/**
+ * Wrap up a job that was finished or cancelled: drop removed people from the
+ * cache, stop the keep-alive alarm, and report the results.
+ */
+async function finishRemovalJob(state) {
+  const job = await RemovalQueue.update(stored => {
+    stored.state = state;
+    stored.finishedAt = Date.now();
+  });
+  if (!job) return;
+  chrome.alarms.clear(JOB_ALARM);
+
+  const summary = RemovalQueue.summarize(job);
+  if (!job.dryRun) {
+    await ConnectionStore.removeByUrns(summary.removed)
+      .catch(err => Logger.warn(TAG, 'Failed to update connection cache', { error: err.message }));
+  }
+  Logger.info(TAG, `${job.dryRun ? 'Dry run' : 'Bulk removal'} ${state === 'cancelled' ? 'cancelled' : 'complete'}`, {
+    completed: summary.completed, failed: summary.failed.length, skipped: summary.skipped.length,
+  });
+  sendRemoveProgress(job, null, state);
+}
+
+/**
+ * Work through the stored job until it finishes, is paused or cancelled, or
+ * the worker is suspended. Safe to call at any time; only one loop runs per worker.
+ */
+async function runRemovalJob() {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    for (;;) {
+      const job = await RemovalQueue.get();
+      if (!job || job.state === 'paused' || job.state === 'done') break;
+      if (job.state === 'cancelled') {
+        if (!job.finishedAt) await finishRemovalJob('cancelled');
+        break;
+      }
+
+      const index = job.items.findIndex(item => item.status === 'pending');
+      if (index === -1) {
+        await finishRemovalJob('done');
+        break;
+      }
+
+      // Waits are re-derived from nextRunAt, so a restart mid-wait resumes on schedule
+      const wait = job.nextRunAt - Date.now();
+      if (wait > 0) {
+        await waitForJob(wait);
+        continue;
+      }
+
+      const hold = await getJobHold(job);
+      if (hold) {
+        await (job.dryRun ? simulateHold(job, hold) : holdJob(job, hold));
+        continue;
       }
+      await processJobItem(job, index);
     }
+  } catch (err) {
+    Logger.error(TAG, 'Removal job stopped', { error: err.message });
+  } finally {
+    jobRunning = false;
   }
+}
 
-  sendProgress(completed, connections.length, null, 'done');
-  Logger.info(TAG, 'Bulk removal complete', { completed, failed: failed.length });
-  return { completed, failed, cancelled: false };
+/**
+ * Pick up a running job after the worker was restarted (alarm, browser
+ * launch, or the worker waking for any other reason).
+ */
+async function resumeRemovalJob(trigger) {
+  if (jobRunning) return;
+  const job = await RemovalQueue.get().catch(() => null);
+  if (!job || job.state !== 'running') return;
+
+  // Still waiting (delay, backoff or hold): carry on quietly, nothing resumes yet
+  const position = job.items.findIndex(item => item.status === 'pending') + 1;
+  if (position === 0 || job.nextRunAt > Date.now()) {
+    runRemovalJob();
+    return;
+  }
+  const updated = await RemovalQueue.update(stored => {
+    stored.resumedAt = { index: position, at: Date.now() };
+  });
+  Logger.info(TAG, `Removal job resumed at item ${position} of ${job.items.length}`, { trigger });
+  if (updated) sendRemoveProgress(updated, null, 'resumed');
+  runRemovalJob();
 }
 
+async function startRemovalJob(connections, options) {
+  const job = await RemovalQueue.create(connections, options);
+  // The alarm wakes the worker if Chrome suspends it mid-job
+  chrome.alarms.create(JOB_ALARM, { periodInMinutes: 1 });
+  Logger.info(TAG, job.dryRun ? 'Starting dry run' : 'Starting bulk removal', {
+    count: connections.length, realDelays: job.realDelays, spreadDays: job.spreadDays,
+  });
+  runRemovalJob();
+  return job;
+}
+
+async function setRemovalJobState(state) {
+  const job = await RemovalQueue.update(stored => {
+    if (stored.state === 'running' || stored.state === 'paused') stored.state = state;
+  });
+  if (!job) return null;
+  if (state !== 'running') interruptJobWait();
+
+  if (job.state === 'running') {
+    chrome.alarms.create(JOB_ALARM, { periodInMinutes: 1 });
+    runRemovalJob();
+  } else if (job.state === 'paused') {
+    sendRemoveProgress(job, null, 'paused');
+  } else if (job.state === 'cancelled' && !jobRunning) {
+    await finishRemovalJob('cancelled');
+  }
+  return job;
+}
+
+// Changed quotas or schedule apply right away to a job that is held by the old ones
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || (!changes[RemovalQuota.SETTINGS_KEY] && !changes[RemovalSchedule.STORAGE_KEY])) return;
+  RemovalQueue.update(stored => {
+    if (stored.state === 'running' && stored.hold) stored.nextRunAt = Date.now();
+  })
+    .then(job => {
+      if (!job || job.state !== 'running' || !job.hold) return;
+      interruptJobWait();
+      runRemovalJob();
+    })
+    .catch(err => Logger.warn(TAG, 'Failed to apply new limits', { error: err.message }));
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === JOB_ALARM) resumeRemovalJob('alarm');
+});
+
+chrome.runtime.onStartup.addListener(() => resumeRemovalJob('browser startup'));
+
+// Every worker start (including after suspension) checks for an interrupted job
+resumeRemovalJob('worker start');
+
 // ================================================================
 // Message Handling
 // ================================================================
 
+/**
+ * Persist a completed fetch: refresh the cache and record a dated snapshot.
+ */
+async function saveFetchResult(connections) {
+  const meta = await ConnectionStore.save(connections);
+  try {
+    const snapshot = await SnapshotStore.save(connections);
+    Logger.info(TAG, 'Snapshot saved', snapshot);
+  } catch (err) {
+    Logger.warn(TAG, 'Failed to save snapshot', { error: err.message });
+  }
+  return meta;
+}
+
+function sendFetchProgress(fetched, total, phase = 'full') {
+  chrome.runtime.sendMessage({
+    action: 'fetchProgress',
+    payload: { fetched, total, phase },
+  }).catch(err => Logger.debug(TAG, 'Progress message not delivered', { error: err.message }));
+}
+
+function sendFetchThrottled(throttle) {
+  chrome.runtime.sendMessage({
+    action: 'fetchThrottled',
+    payload: throttle,
+  }).catch(err => Logger.debug(TAG, 'Throttle message not delivered', { error: err.message }));
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const { action, payload } = message;
 
@@ -678,47 +1172,82 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'fetchAllConnections':
-      fetchAllConnections((fetched, total) => {
-        chrome.runtime.sendMessage({
-          action: 'fetchProgress',
-          payload: { fetched, total },
-        }).catch(err => Logger.debug(TAG, 'Progress message not delivered', { error: err.message }));
-      })
-        .then(connections => sendResponse({ connections }))
+      fetchAllConnections(sendFetchProgress)
+        .then(async connections => {
+          // Cache in the worker so the result survives the panel being closed mid-fetch
+          const meta = await saveFetchResult(connections);
+          Logger.info(TAG, 'Connection cache updated', meta);
+          sendResponse({ connections, fetchedAt: meta.fetchedAt });
+        })
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
+
+    case 'refreshConnections':
+      ConnectionStore.load()
+        // Re-derive headline fields so connections cached by older versions gain them
+        .then(cached => refreshConnections(cached.connections.map(HeadlineAnalyzer.enrich), sendFetchProgress))
+        .then(async result => {
+          const meta = await saveFetchResult(result.connections);
+          Logger.info(TAG, 'Connection cache refreshed', { ...meta, added: result.added, removed: result.removed, mode: result.mode });
+          sendResponse({ ...result, fetchedAt: meta.fetchedAt });
+        })
         .catch(err => sendResponse({ error: err.message }));
       return true;
 
     case 'bulkRemoveConnections':
-      bulkRemove(payload.connections, (completed, total, currentItem, status) => {
-        chrome.runtime.sendMessage({
-          action: 'removeProgress',
-          payload: { completed, total, currentItem, status },
-        }).catch(err => Logger.debug(TAG, 'Remove progress not delivered', { error: err.message }));
+      // Responds as soon as the job is stored; progress and results arrive as removeProgress messages
+      startRemovalJob(payload.connections, {
+        dryRun: payload.dryRun,
+        realDelays: payload.realDelays,
+        spreadDays: payload.spreadDays,
       })
-        .then(result => sendResponse(result))
+        .then(job => sendResponse({ started: true, total: job.items.length }))
+        .catch(err => sendResponse({
+          error: err.message === 'JOB_IN_PROGRESS'
+            ? 'A removal job is already in progress. Finish or cancel it first.'
+            : err.message,
+        }));
+      return true;
+
+    case 'getRemovalJob':
+      RemovalQueue.get()
+        .then(job => sendResponse({ job: job ? RemovalQueue.summarize(job) : null }))
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
+
+    case 'dismissRemovalJob':
+      RemovalQueue.get()
+        .then(job => (job && (job.state === 'done' || job.state === 'cancelled') ? RemovalQueue.clear() : null))
+        .then(() => sendResponse({ success: true }))
         .catch(err => sendResponse({ error: err.message }));
       return true;
 
     case 'pauseRemoval':
-      isPaused = true;
-      Logger.info(TAG, 'Removal paused');
-      sendResponse({ success: true });
-      return false;
+      setRemovalJobState('paused')
+        .then(() => {
+          Logger.info(TAG, 'Removal paused');
+          sendResponse({ success: true });
+        })
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
 
     case 'resumeRemoval':
-      isPaused = false;
-      if (pauseResolve) { pauseResolve(); pauseResolve = null; }
-      Logger.info(TAG, 'Removal resumed');
-      sendResponse({ success: true });
-      return false;
+      setRemovalJobState('running')
+        .then(() => {
+          Logger.info(TAG, 'Removal resumed');
+          sendResponse({ success: true });
+        })
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
 
     case 'cancelRemoval':
-      isCancelled = true;
-      isPaused = false;
-      if (pauseResolve) { pauseResolve(); pauseResolve = null; }
-      Logger.info(TAG, 'Removal cancelled by user');
-      sendResponse({ success: true });
-      return false;
+      setRemovalJobState('cancelled')
+        .then(() => {
+          Logger.info(TAG, 'Removal cancelled by user');
+          sendResponse({ success: true });
+        })
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
 
     case 'getLogs':
       Logger.getLogs(payload || {})
@@ -0,0 +1,100 @@
+/**
+ * Local annotations for LinkedIn Connection Manager.
+ * Free-form tags and private notes attached to connections, stored by
+ * entityUrn so they survive refreshes and never leave the browser.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Annotations = (() => {
+  const STORAGE_KEY = 'lcm_annotations';
+
+  let writeChain = Promise.resolve();
+
+  function keyOf(conn) {
+    return conn.entityUrn || conn.connectionUrn;
+  }
+
+  function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase();
+  }
+
+  /**
+   * @returns {Promise<Object<string, {tags: Array<string>, note: string}>>} - Annotations keyed by entityUrn
+   */
+  async function getAll() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || {};
+  }
+
+  /**
+   * Apply a change to the annotations of several connections in one write.
+   * Entries left empty are dropped so storage doesn't accumulate blanks.
+   * Writes are serialized so a note save and a bulk tag change can't overwrite each other.
+   */
+  function update(connections, fn) {
+    const run = writeChain.then(async () => {
+      const all = await getAll();
+      for (const conn of connections) {
+        const key = keyOf(conn);
+        const entry = fn({ tags: [], note: '', ...(all[key] || {}) });
+        if (entry.tags.length === 0 && !entry.note) {
+          delete all[key];
+        } else {
+          all[key] = entry;
+        }
+      }
+      await chrome.storage.local.set({ [STORAGE_KEY]: all });
+      return all;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  async function addTag(connections, tag) {
+    const clean = normalizeTag(tag);
+    if (!clean) return getAll();
+    return update(connections, entry => ({
+      ...entry,
+      tags: entry.tags.includes(clean) ? entry.tags : [...entry.tags, clean],
+    }));
+  }
+
+  async function removeTag(connections, tag) {
+    const clean = normalizeTag(tag);
+    return update(connections, entry => ({ ...entry, tags: entry.tags.filter(t => t !== clean) }));
+  }
+
+  async function setNote(conn, note) {
+    return update([conn], entry => ({ ...entry, note: String(note || '').trim() ? String(note) : '' }));
+  }
+
+  function getTags(conn, all) {
+    return all[keyOf(conn)]?.tags || [];
+  }
+
+  function getNote(conn, all) {
+    return all[keyOf(conn)]?.note || '';
+  }
+
+  /**
+   * Every tag in use, sorted, for autocomplete.
+   */
+  function listTags(all) {
+    const tags = new Set();
+    for (const entry of Object.values(all)) {
+      for (const tag of entry.tags || []) tags.add(tag);
+    }
+    return [...tags].sort();
+  }
+
+  return {
+    normalizeTag,
+    getAll,
+    addTag,
+    removeTag,
+    setNote,
+    getTags,
+    getNote,
+    listTags,
+  };
+})();
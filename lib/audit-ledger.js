@@ -0,0 +1,100 @@
+/**
+ * Persistent removal audit ledger for LinkedIn Connection Manager.
+ * Every removal attempt made by the background worker is appended here with
+ * who was targeted, how it went, and which filter selected them, so the
+ * history can be reviewed and exported long after the run finished.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const AuditLedger = (() => {
+  const STORAGE_KEY = 'lcm_audit_ledger';
+  const MAX_ENTRIES = 50000;
+
+  const COLUMNS = [
+    { key: 'time', label: 'Timestamp' },
+    { key: 'outcome', label: 'Outcome' },
+    { key: 'name', label: 'Name' },
+    { key: 'headline', label: 'Headline' },
+    { key: 'profileUrl', label: 'Profile URL' },
+    { key: 'connectionUrn', label: 'Connection URN' },
+    { key: 'strategy', label: 'Strategy' },
+    { key: 'httpStatus', label: 'HTTP Status' },
+    { key: 'filterText', label: 'Selected By' },
+    { key: 'error', label: 'Error' },
+  ];
+
+  /**
+   * Build a ledger entry for one removal attempt.
+   * @param {Object} connection - The connection as sent by the side panel
+   * @param {string} outcome - 'removed', 'failed', or 'skipped'
+   * @param {{strategy?: number, httpStatus?: number, error?: string}} details
+   */
+  function createEntry(connection, outcome, details = {}) {
+    return {
+      ts: Date.now(),
+      outcome,
+      name: connection.name || '',
+      headline: connection.headline || '',
+      profileUrl: connection.profileUrl || '',
+      connectionUrn: connection.connectionUrn || '',
+      entityUrn: connection.entityUrn || '',
+      strategy: details.strategy || null,
+      httpStatus: details.httpStatus || null,
+      filterText: connection.selectedBy || '',
+      error: details.error || '',
+    };
+  }
+
+  /**
+   * Append an entry, trimming the oldest beyond MAX_ENTRIES.
+   */
+  async function append(entry) {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    let entries = result[STORAGE_KEY] || [];
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) {
+      entries = entries.slice(entries.length - MAX_ENTRIES);
+    }
+    await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+  }
+
+  /**
+   * Read ledger entries, oldest first.
+   * @param {{since?: number, until?: number, outcome?: string}} filter
+   */
+  async function getEntries(filter = {}) {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    let entries = result[STORAGE_KEY] || [];
+
+    if (filter.since) {
+      entries = entries.filter(e => e.ts >= filter.since);
+    }
+    if (filter.until) {
+      entries = entries.filter(e => e.ts <= filter.until);
+    }
+    if (filter.outcome) {
+      entries = entries.filter(e => e.outcome === filter.outcome);
+    }
+    return entries;
+  }
+
+  // ---- Export ----
+
+  function toCsv(entries) {
+    const rows = entries.map(e => ({ ...e, time: new Date(e.ts).toISOString() }));
+    return Csv.stringify(rows, COLUMNS);
+  }
+
+  function toJson(entries) {
+    return JSON.stringify(entries.map(e => ({ ...e, time: new Date(e.ts).toISOString() })), null, 2);
+  }
+
+  return {
+    createEntry,
+    append,
+    getEntries,
+    toCsv,
+    toJson,
+  };
+})();
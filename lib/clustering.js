@@ -0,0 +1,193 @@
+/**
+ * Headline clustering for LinkedIn Connection Manager.
+ * Groups connections into segments of similar headlines ("crypto / web3 /
+ * founder", "student / university") using TF-IDF vectors and spherical
+ * k-means, entirely in the browser. Seeded, so the same list always gives
+ * the same segments.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Clustering = (() => {
+  const MIN_DF = 3;              // Ignore terms used by fewer connections than this
+  const MAX_DF_RATIO = 0.5;      // ...or by more than this share of them
+  const MAX_VOCABULARY = 3000;
+  const MAX_K = 15;
+  const MAX_ITERATIONS = 25;
+  const MIN_SEGMENT_SIZE = 3;
+  const LABEL_TERMS = 3;
+  const SAMPLE_SIZE = 5;
+
+  // Small deterministic PRNG (mulberry32)
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Sparse, L2-normalized TF-IDF vectors for each connection with a usable headline.
+   */
+  function vectorize(connections) {
+    const termSets = connections.map(conn => [...Facets.headlineTerms(conn.headline)]);
+    const df = new Map();
+    for (const terms of termSets) {
+      for (const term of terms) df.set(term, (df.get(term) || 0) + 1);
+    }
+
+    const withTerms = termSets.filter(terms => terms.length > 0).length;
+    const vocabulary = [...df.entries()]
+      .filter(([, count]) => count >= MIN_DF && count <= Math.max(MIN_DF, withTerms * MAX_DF_RATIO))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_VOCABULARY)
+      .map(([term]) => term);
+    const index = new Map(vocabulary.map((term, i) => [term, i]));
+    const idf = vocabulary.map(term => Math.log(withTerms / df.get(term)));
+
+    const docs = [];
+    connections.forEach((conn, i) => {
+      const ids = termSets[i].filter(term => index.has(term)).map(term => index.get(term));
+      if (ids.length === 0) return;
+      const weights = ids.map(id => idf[id]);
+      const norm = Math.sqrt(weights.reduce((sum, w) => sum + w * w, 0)) || 1;
+      docs.push({ conn, ids, weights: weights.map(w => w / norm) });
+    });
+    return { docs, vocabulary };
+  }
+
+  function similarity(doc, centroid) {
+    let sum = 0;
+    for (let i = 0; i < doc.ids.length; i++) sum += centroid[doc.ids[i]] * doc.weights[i];
+    return sum;
+  }
+
+  function centroidOf(doc, size) {
+    const centroid = new Float32Array(size);
+    doc.ids.forEach((id, i) => { centroid[id] = doc.weights[i]; });
+    return centroid;
+  }
+
+  /**
+   * k-means++ seeding: each new centroid is picked with probability
+   * proportional to its distance from the closest existing one.
+   */
+  function seedCentroids(docs, k, size, random) {
+    const centroids = [centroidOf(docs[Math.floor(random() * docs.length)], size)];
+    const distance = docs.map(doc => 1 - similarity(doc, centroids[0]));
+
+    while (centroids.length < k) {
+      const total = distance.reduce((sum, d) => sum + Math.max(0, d), 0);
+      if (total <= 0) break;
+      let target = random() * total;
+      let pick = 0;
+      for (; pick < docs.length - 1; pick++) {
+        target -= Math.max(0, distance[pick]);
+        if (target <= 0) break;
+      }
+      const centroid = centroidOf(docs[pick], size);
+      centroids.push(centroid);
+      docs.forEach((doc, i) => {
+        distance[i] = Math.min(distance[i], 1 - similarity(doc, centroid));
+      });
+    }
+    return centroids;
+  }
+
+  function assign(docs, centroids, assignment) {
+    let changed = 0;
+    docs.forEach((doc, i) => {
+      let best = 0;
+      let bestSim = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const sim = similarity(doc, centroid);
+        if (sim > bestSim) {
+          bestSim = sim;
+          best = c;
+        }
+      });
+      if (assignment[i] !== best) {
+        assignment[i] = best;
+        changed++;
+      }
+    });
+    return changed;
+  }
+
+  function updateCentroids(docs, assignment, k, size) {
+    const centroids = Array.from({ length: k }, () => new Float32Array(size));
+    docs.forEach((doc, i) => {
+      const centroid = centroids[assignment[i]];
+      doc.ids.forEach((id, j) => { centroid[id] += doc.weights[j]; });
+    });
+    for (const centroid of centroids) {
+      let norm = 0;
+      for (let i = 0; i < size; i++) norm += centroid[i] * centroid[i];
+      norm = Math.sqrt(norm) || 1;
+      for (let i = 0; i < size; i++) centroid[i] /= norm;
+    }
+    return centroids;
+  }
+
+  function topTerms(centroid, vocabulary, count) {
+    return [...centroid.keys()]
+      .sort((a, b) => centroid[b] - centroid[a])
+      .slice(0, count)
+      .filter(i => centroid[i] > 0)
+      .map(i => vocabulary[i]);
+  }
+
+  /**
+   * Cluster connections by headline.
+   * @param {Array} connections
+   * @param {{k?: number}} options - Number of segments; picked from the list size when omitted
+   * @returns {{segments: Array<{id: string, label: string, terms: Array<string>, connections: Array, samples: Array}>,
+   *   unclustered: number}} - Segments largest first; unclustered counts headlines with no usable terms
+   */
+  function cluster(connections, options = {}) {
+    const { docs, vocabulary } = vectorize(connections);
+    const unclustered = connections.length - docs.length;
+    const k = Math.min(
+      options.k || Math.max(2, Math.min(MAX_K, Math.round(Math.sqrt(docs.length / 20)))),
+      Math.floor(docs.length / MIN_SEGMENT_SIZE)
+    );
+    if (k < 2) return { segments: [], unclustered: connections.length };
+
+    const random = seededRandom(42);
+    let centroids = seedCentroids(docs, k, vocabulary.length, random);
+    const assignment = new Int32Array(docs.length).fill(-1);
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      if (assign(docs, centroids, assignment) === 0) break;
+      centroids = updateCentroids(docs, assignment, centroids.length, vocabulary.length);
+    }
+
+    const segments = centroids.map((centroid, c) => {
+      const members = docs
+        .map((doc, i) => (assignment[i] === c ? { doc, sim: similarity(doc, centroid) } : null))
+        .filter(Boolean)
+        .sort((a, b) => b.sim - a.sim);
+      const terms = topTerms(centroid, vocabulary, LABEL_TERMS);
+      return {
+        id: `segment-${c}`,
+        label: terms.join(' / '),
+        terms,
+        connections: members.map(m => m.doc.conn),
+        samples: members.slice(0, SAMPLE_SIZE).map(m => m.doc.conn),
+      };
+    });
+
+    const kept = segments.filter(s => s.connections.length >= MIN_SEGMENT_SIZE);
+    const dropped = segments.reduce((sum, s) => sum + (s.connections.length < MIN_SEGMENT_SIZE ? s.connections.length : 0), 0);
+    return {
+      segments: kept.sort((a, b) => b.connections.length - a.connections.length),
+      unclustered: unclustered + dropped,
+    };
+  }
+
+  return {
+    cluster,
+  };
+})();
@@ -0,0 +1,63 @@
+/**
+ * Local connection cache for LinkedIn Connection Manager.
+ * Persists the last fetched connection list to chrome.storage.local so the
+ * side panel can render immediately instead of re-fetching on every open.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const ConnectionStore = (() => {
+  const DATA_KEY = 'lcm_connections';
+  const META_KEY = 'lcm_connections_meta';
+
+  /**
+   * Load the cached connections and their metadata.
+   * @returns {Promise<{connections: Array, fetchedAt: number|null}>}
+   */
+  async function load() {
+    const result = await chrome.storage.local.get([DATA_KEY, META_KEY]);
+    const connections = result[DATA_KEY] || [];
+    const meta = result[META_KEY] || {};
+    return { connections, fetchedAt: meta.fetchedAt || null };
+  }
+
+  /**
+   * Replace the cache with a freshly fetched list.
+   * @param {Array} connections - Full connection list
+   * @returns {Promise<{fetchedAt: number, count: number}>}
+   */
+  async function save(connections) {
+    const meta = { fetchedAt: Date.now(), count: connections.length };
+    await chrome.storage.local.set({ [DATA_KEY]: connections, [META_KEY]: meta });
+    return meta;
+  }
+
+  /**
+   * Drop connections from the cache (e.g. after a successful removal).
+   * Leaves fetchedAt untouched since the rest of the list was not re-fetched.
+   * @param {Array<string>} connectionUrns
+   * @returns {Promise<number|null>} - Number of cached connections remaining, or null if nothing to remove
+   */
+  async function removeByUrns(connectionUrns) {
+    if (!connectionUrns || connectionUrns.length === 0) return null;
+
+    const result = await chrome.storage.local.get([DATA_KEY, META_KEY]);
+    const urns = new Set(connectionUrns);
+    const connections = (result[DATA_KEY] || []).filter(c => !urns.has(c.connectionUrn));
+    const meta = { ...(result[META_KEY] || {}), count: connections.length };
+
+    await chrome.storage.local.set({ [DATA_KEY]: connections, [META_KEY]: meta });
+    return connections.length;
+  }
+
+  async function clear() {
+    await chrome.storage.local.remove([DATA_KEY, META_KEY]);
+  }
+
+  return {
+    load,
+    save,
+    removeByUrns,
+    clear,
+  };
+})();
@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV helpers for LinkedIn Connection Manager imports and exports.
+ * Quotes fields per RFC 4180 so headlines with commas, quotes, or newlines
+ * round-trip through spreadsheet apps.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Csv = (() => {
+  function escapeField(value) {
+    if (value === undefined || value === null) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * Serialize rows to CSV text.
+   * @param {Array<Object>} rows
+   * @param {Array<{key: string, label: string}>} columns - Output columns, in order
+   * @returns {string}
+   */
+  function stringify(rows, columns) {
+    const lines = [columns.map(col => escapeField(col.label)).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(col => escapeField(row[col.key])).join(','));
+    }
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Parse CSV text into rows of string cells. Handles quoted fields with
+   * embedded commas, escaped quotes, and newlines.
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  function parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  return {
+    stringify,
+    parse,
+  };
+})();
@@ -0,0 +1,121 @@
+/**
+ * Connection export formats for LinkedIn Connection Manager.
+ * Turns parsed connection objects into CSV (chosen columns), JSON, or vCard 3.0.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Exporter = (() => {
+  // Fields produced by the background parsers and HeadlineAnalyzer, in export order
+  const FIELDS = [
+    { key: 'firstName', label: 'First Name' },
+    { key: 'lastName', label: 'Last Name' },
+    { key: 'headline', label: 'Headline' },
+    { key: 'jobTitle', label: 'Job Title' },
+    { key: 'company', label: 'Company' },
+    { key: 'seniority', label: 'Seniority' },
+    { key: 'publicIdentifier', label: 'Public Identifier' },
+    { key: 'profileUrl', label: 'Profile URL' },
+    { key: 'entityUrn', label: 'Entity URN' },
+    { key: 'connectionUrn', label: 'Connection URN' },
+    { key: 'connectedAt', label: 'Connected At' },
+  ];
+
+  const VCARD_LINE_LIMIT = 75;
+
+  function formatDate(ts) {
+    return ts ? new Date(ts).toISOString() : '';
+  }
+
+  // ---- CSV / JSON ----
+
+  /**
+   * @param {Array} connections
+   * @param {Array<string>} fieldKeys - Keys from FIELDS to include, in FIELDS order
+   */
+  function toCsv(connections, fieldKeys = FIELDS.map(f => f.key)) {
+    const columns = FIELDS.filter(f => fieldKeys.includes(f.key));
+    const rows = connections.map(c => ({ ...c, connectedAt: formatDate(c.connectedAt) }));
+    return Csv.stringify(rows, columns);
+  }
+
+  function toJson(connections) {
+    const rows = connections.map(c => {
+      const row = {};
+      for (const field of FIELDS) {
+        row[field.key] = c[field.key] ?? null;
+      }
+      return row;
+    });
+    return JSON.stringify(rows, null, 2);
+  }
+
+  // ---- vCard ----
+
+  function escapeVCard(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/\r?\n/g, '\\n')
+      .replace(/,/g, '\\,')
+      .replace(/;/g, '\\;');
+  }
+
+  function utf8Length(ch) {
+    const cp = ch.codePointAt(0);
+    return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+  }
+
+  /**
+   * Fold long content lines at 75 octets of UTF-8, as RFC 6350 asks
+   * (continuation lines start with a space). Never splits a character, so an
+   * emoji in a headline can't end up as half a surrogate pair.
+   */
+  function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+      const size = utf8Length(ch);
+      if (octets + size > VCARD_LINE_LIMIT) {
+        parts.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += ch;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+  }
+
+  function toVCardEntry(conn) {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${escapeVCard(conn.lastName)};${escapeVCard(conn.firstName)};;;`,
+      `FN:${escapeVCard(conn.name || `${conn.firstName || ''} ${conn.lastName || ''}`.trim())}`,
+    ];
+    if (conn.headline) lines.push(`TITLE:${escapeVCard(conn.headline)}`);
+    if (conn.company) lines.push(`ORG:${escapeVCard(conn.company)}`);
+    if (conn.profileUrl) {
+      lines.push(`URL;TYPE=linkedin:${conn.profileUrl}`);
+      lines.push(`X-SOCIALPROFILE;TYPE=linkedin:${conn.profileUrl}`);
+    }
+    if (conn.entityUrn) lines.push(`UID:${escapeVCard(conn.entityUrn)}`);
+    if (conn.connectedAt) {
+      lines.push(`NOTE:${escapeVCard(`LinkedIn connection since ${formatDate(conn.connectedAt).slice(0, 10)}`)}`);
+    }
+    lines.push('END:VCARD');
+    return lines.map(foldLine).join('\r\n');
+  }
+
+  function toVCard(connections) {
+    return connections.map(toVCardEntry).join('\r\n') + '\r\n';
+  }
+
+  return {
+    FIELDS,
+    toCsv,
+    toJson,
+    toVCard,
+  };
+})();
@@ -0,0 +1,103 @@
+/**
+ * Facet counts for the side panel: the most common companies, headline
+ * terms and connection years in a set of connections, plus how many are
+ * missing a headline or photo. Used to suggest filters instead of guessing.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Facets = (() => {
+  const TOP_COMPANIES = 10;
+  const TOP_TERMS = 15;
+
+  // Filler words in headlines (already folded), across the languages we see most
+  const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'i', 'in', 'is', 'it', 'me', 'my', 'of',
+    'on', 'or', 'our', 'the', 'to', 'we', 'with', 'you', 'your', 'ex', 'former', 'current', 'currently',
+    'de', 'del', 'des', 'du', 'da', 'do', 'dos', 'e', 'el', 'em', 'en', 'et', 'la', 'las', 'le', 'les', 'los',
+    'para', 'por', 'con', 'y', 'un', 'une', 'und', 'der', 'die', 'das', 'bei', 'fur', 'im', 'von', 'zu',
+    'il', 'di', 'per', 'van', 'het', 'een', 'bij',
+  ]);
+
+  const TOKEN_SPLIT_RE = /[^\p{L}\p{N}+#]+/u;
+
+  function hasPhoto(conn) {
+    return Boolean(conn.profilePicture && conn.profilePicture.startsWith('http'));
+  }
+
+  /**
+   * Distinct meaningful words in a headline.
+   */
+  function headlineTerms(headline) {
+    const terms = new Set();
+    for (const token of TextMatch.fold(headline).split(TOKEN_SPLIT_RE)) {
+      if (token.length < 2 || STOPWORDS.has(token) || /^\d+$/.test(token)) continue;
+      terms.add(token);
+    }
+    return terms;
+  }
+
+  function topEntries(counts, limit) {
+    return [...counts.values()]
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {Array} connections
+   * @returns {{
+   *   companies: Array<{value: string, count: number}>,
+   *   terms: Array<{value: string, count: number}>,
+   *   years: Array<{value: number, count: number}>,
+   *   noHeadline: number,
+   *   noPhoto: number
+   * }} - Terms count each connection once, however often the word appears
+   */
+  function compute(connections) {
+    const companies = new Map();
+    const terms = new Map();
+    const years = new Map();
+    let noHeadline = 0;
+    let noPhoto = 0;
+
+    for (const conn of connections) {
+      if (conn.company) {
+        // Count "ACME" and "Acme" together, shown with the first spelling seen
+        const key = TextMatch.fold(conn.company);
+        const entry = companies.get(key) || { value: conn.company, count: 0 };
+        entry.count++;
+        companies.set(key, entry);
+      }
+
+      if (conn.headline && conn.headline.trim()) {
+        for (const term of headlineTerms(conn.headline)) {
+          const entry = terms.get(term) || { value: term, count: 0 };
+          entry.count++;
+          terms.set(term, entry);
+        }
+      } else {
+        noHeadline++;
+      }
+
+      if (conn.connectedAt) {
+        const year = new Date(conn.connectedAt).getFullYear();
+        years.set(year, (years.get(year) || 0) + 1);
+      }
+
+      if (!hasPhoto(conn)) noPhoto++;
+    }
+
+    return {
+      companies: topEntries(companies, TOP_COMPANIES),
+      terms: topEntries(terms, TOP_TERMS),
+      years: [...years.entries()].map(([value, count]) => ({ value, count })).sort((a, b) => b.value - a.value),
+      noHeadline,
+      noPhoto,
+    };
+  }
+
+  return {
+    hasPhoto,
+    headlineTerms,
+    compute,
+  };
+})();
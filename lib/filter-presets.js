@@ -0,0 +1,115 @@
+/**
+ * Saved filter presets for LinkedIn Connection Manager.
+ * A preset is a named copy of the side panel's filter state (see
+ * getFilterState in sidepanel.js) so recurring cleanup passes can be
+ * recalled instead of retyped. Presets can be exported and imported as JSON.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const FilterPresets = (() => {
+  const STORAGE_KEY = 'lcm_filter_presets';
+  const EXPORT_VERSION = 1;
+
+  function newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * @returns {Promise<Array<{id: string, name: string, state: Object, updatedAt: number}>>} - Sorted by name
+   */
+  async function list() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return (result[STORAGE_KEY] || []).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function write(presets) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: presets });
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save filter state under a name, overwriting any preset with the same name.
+   * @returns {Promise<Array>} - The updated preset list
+   */
+  async function save(name, state) {
+    const clean = String(name || '').trim();
+    if (!clean) throw new Error('Enter a name for the preset.');
+
+    const presets = await list();
+    const existing = presets.find(p => p.name.toLowerCase() === clean.toLowerCase());
+    if (existing) {
+      existing.name = clean;
+      existing.state = { ...state };
+      existing.updatedAt = Date.now();
+    } else {
+      presets.push({ id: newId(), name: clean, state: { ...state }, updatedAt: Date.now() });
+    }
+    return write(presets);
+  }
+
+  async function rename(id, name) {
+    const clean = String(name || '').trim();
+    if (!clean) throw new Error('Enter a name for the preset.');
+
+    const presets = await list();
+    if (presets.some(p => p.id !== id && p.name.toLowerCase() === clean.toLowerCase())) {
+      throw new Error('Another preset already has that name.');
+    }
+    const preset = presets.find(p => p.id === id);
+    if (preset) {
+      preset.name = clean;
+      preset.updatedAt = Date.now();
+    }
+    return write(presets);
+  }
+
+  async function remove(id) {
+    return write((await list()).filter(p => p.id !== id));
+  }
+
+  // ---- Export / Import ----
+
+  function toJson(presets) {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      presets: presets.map(({ name, state }) => ({ name, state })),
+    }, null, 2);
+  }
+
+  /**
+   * Merge presets from an exported file. Imported presets replace saved ones with the same name.
+   * @returns {Promise<{presets: Array, imported: number}>}
+   */
+  async function importJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a filter preset file.');
+    }
+    const incoming = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(incoming)) throw new Error('Not a filter preset file.');
+
+    const valid = incoming.filter(p => p && typeof p.name === 'string' && p.name.trim() && p.state && typeof p.state === 'object');
+    const presets = await list();
+    for (const { name, state } of valid) {
+      const existing = presets.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing) {
+        existing.state = { ...state };
+        existing.updatedAt = Date.now();
+      } else {
+        presets.push({ id: newId(), name: name.trim(), state: { ...state }, updatedAt: Date.now() });
+      }
+    }
+    return { presets: await write(presets), imported: valid.length };
+  }
+
+  return {
+    list,
+    save,
+    rename,
+    remove,
+    toJson,
+    importJson,
+  };
+})();
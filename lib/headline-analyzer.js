@@ -0,0 +1,90 @@
+/**
+ * Headline analysis for LinkedIn Connection Manager.
+ * Splits free-text headlines like "Senior Recruiter at Acme | Hiring" into a
+ * role title, a company, and a seniority level so they can be filtered on
+ * directly. Purely heuristic: anything it can't recognise is left empty.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const HeadlineAnalyzer = (() => {
+  // Highest first: the first level whose pattern matches the title wins,
+  // so "Senior Director" is a director and "Vice President" is not C-level.
+  // "Chief" alone isn't C-level ("Chief of Staff", "Chief Engineer"), nor is a
+  // "Product Owner". "Lead" and "staff" only count next to a role, so "Lead
+  // Generation Specialist" and "Staff Accountant" aren't leads
+  const SENIORITY_PATTERNS = [
+    { level: 'vp', re: /\b(vp|svp|evp|avp|vice[\s-]+president)\b/i },
+    { level: 'c-level', re: /\b(ceo|cto|cfo|coo|cmo|cio|ciso|cpo|cro|chief\b.*\bofficer|co-?founder|founder|president|managing partner|(business|company|agency|practice)\s+owner|owner\s+(of|at))\b|^\s*(co-?)?owner\s*$/i },
+    { level: 'director', re: /\b(director|head of)\b/i },
+    { level: 'lead', re: /\b(lead\s+(?!gen)([\w-]+\s+)?(engineer|developer|designer|architect|analyst|scientist|consultant|researcher|recruiter|manager)|(team|tech|technical|engineering|project|design|product|qa)\s+lead|staff\s+([\w-]+\s+)?(engineer|engineering|developer|scientist)|principal|supervisor|team leader)\b/i },
+    { level: 'intern', re: /\b(intern|internship|working student)\b/i },
+    { level: 'senior', re: /\b(senior|sr\.?)(?=\s|$)/i },
+    { level: 'junior', re: /\b(junior|jr\.?|entry[\s-]level|graduate|trainee|apprentice)(?=\s|$)/i },
+  ];
+
+  const LEVELS = ['intern', 'junior', 'senior', 'lead', 'director', 'vp', 'c-level'];
+
+  // Headline sections: "Title | Company | Tagline", "Title • Company", "Title - Company"
+  const SEGMENT_SPLIT_RE = /\s*[|•·]\s*|\s+[-–—]\s+/;
+  const AT_RE = /\s+at\s+|\s*@\s*/i;
+  // Sections that read like a tagline rather than a company name
+  const TAGLINE_RE = /\b(hiring|helping|help|looking|open to|passionate|ex-|former|formerly|speaker|author|mentor|i |we |my )/i;
+
+  function cleanCompany(value) {
+    return value
+      .split(/\s*[,(]/)[0]
+      .replace(/[.!;:]+$/, '')
+      .trim();
+  }
+
+  function looksLikeCompany(segment) {
+    const words = segment.split(/\s+/);
+    return words.length <= 5 && /^[\p{Lu}\p{N}]/u.test(segment) && !TAGLINE_RE.test(segment);
+  }
+
+  function detectSeniority(title) {
+    if (!title) return '';
+    const match = SENIORITY_PATTERNS.find(p => p.re.test(title));
+    return match ? match.level : '';
+  }
+
+  /**
+   * @param {string} headline
+   * @returns {{jobTitle: string, company: string, seniority: string}}
+   */
+  function analyze(headline) {
+    const segments = String(headline || '').split(SEGMENT_SPLIT_RE).map(s => s.trim()).filter(Boolean);
+    if (segments.length === 0) return { jobTitle: '', company: '', seniority: '' };
+
+    let jobTitle = segments[0];
+    let company = '';
+
+    // "Title at Company" / "Title @ Company", preferring the first section that has one
+    const withAt = segments.find(s => AT_RE.test(s));
+    if (withAt) {
+      const [before, ...after] = withAt.split(AT_RE);
+      company = cleanCompany(after.join(' '));
+      if (withAt === segments[0] && before) jobTitle = before;
+    } else if (segments.length > 1 && !TAGLINE_RE.test(segments[0]) && looksLikeCompany(segments[1])) {
+      // "Title | Company"
+      company = cleanCompany(segments[1]);
+    }
+
+    return { jobTitle: jobTitle.trim(), company, seniority: detectSeniority(jobTitle) };
+  }
+
+  /**
+   * Return the connection with jobTitle, company and seniority derived from its headline.
+   * Always re-derived so improvements here apply to cached connections too.
+   */
+  function enrich(conn) {
+    return { ...conn, ...analyze(conn.headline) };
+  }
+
+  return {
+    LEVELS,
+    analyze,
+    enrich,
+  };
+})();
@@ -0,0 +1,113 @@
+/**
+ * Parses pasted or uploaded lists of LinkedIn people and matches them against
+ * fetched connections. Accepts linkedin.com/in/ URLs, bare public identifiers,
+ * and URNs, one per line or anywhere in a CSV row.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const IdentifierList = (() => {
+  const PROFILE_URL_RE = /linkedin\.com\/in\/([^/?#\s"',;]+)/i;
+  const URN_RE = /urn:li:[A-Za-z_]+:[^\s"',;)]+/;
+  const PUBLIC_ID_RE = /^[\p{L}\p{N}_%-]{3,100}$/u;
+
+  function normalizePublicId(value) {
+    try {
+      return decodeURIComponent(value).toLowerCase();
+    } catch {
+      return value.toLowerCase();
+    }
+  }
+
+  /**
+   * The trailing id of a URN, shared between profile URN flavors
+   * (urn:li:fsd_profile:X and urn:li:fs_miniProfile:X refer to the same member).
+   */
+  function urnId(urn) {
+    return urn.substring(urn.lastIndexOf(':') + 1);
+  }
+
+  /**
+   * Extract an identifier from one cell, or null.
+   */
+  function parseCell(cell, allowBareId) {
+    const value = cell.trim();
+    if (!value) return null;
+
+    const urlMatch = value.match(PROFILE_URL_RE);
+    if (urlMatch) return { raw: value, type: 'publicId', value: normalizePublicId(urlMatch[1]) };
+
+    const urnMatch = value.match(URN_RE);
+    if (urnMatch) return { raw: value, type: 'urn', value: urnMatch[0] };
+
+    if (allowBareId && PUBLIC_ID_RE.test(value)) {
+      return { raw: value, type: 'publicId', value: normalizePublicId(value) };
+    }
+    return null;
+  }
+
+  /**
+   * Parse text (plain list or CSV) into identifiers, de-duplicated.
+   * Bare identifiers are only accepted from single-column rows so names and
+   * other CSV columns aren't mistaken for public identifiers.
+   * @param {string} text
+   * @returns {Array<{raw: string, type: 'publicId'|'urn', value: string}>}
+   */
+  function parse(text) {
+    const ids = [];
+    const seen = new Set();
+
+    for (const row of Csv.parse(text)) {
+      const cells = row.filter(cell => cell.trim());
+      if (cells.length === 0) continue;
+
+      let id = null;
+      for (const cell of cells) {
+        id = parseCell(cell, cells.length === 1);
+        if (id) break;
+      }
+      if (!id) {
+        ids.push({ raw: cells.join(', '), type: 'invalid', value: '' });
+        continue;
+      }
+
+      const key = `${id.type}:${id.value}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Match parsed identifiers against connections.
+   * @returns {{matched: Array<{id: Object, connection: Object}>, unmatched: Array<Object>}}
+   */
+  function match(ids, connections) {
+    const byPublicId = new Map();
+    const byUrnId = new Map();
+    for (const conn of connections) {
+      if (conn.publicIdentifier) byPublicId.set(normalizePublicId(conn.publicIdentifier), conn);
+      if (conn.entityUrn) byUrnId.set(urnId(conn.entityUrn), conn);
+      if (conn.connectionUrn) byUrnId.set(urnId(conn.connectionUrn), conn);
+    }
+
+    const matched = [];
+    const unmatched = [];
+    for (const id of ids) {
+      const connection = id.type === 'publicId' ? byPublicId.get(id.value)
+        : id.type === 'urn' ? byUrnId.get(urnId(id.value))
+          : null;
+      if (connection) {
+        matched.push({ id, connection });
+      } else {
+        unmatched.push(id);
+      }
+    }
+    return { matched, unmatched };
+  }
+
+  return {
+    parse,
+    match,
+  };
+})();
@@ -0,0 +1,106 @@
+/**
+ * Sorting and grouping for the side panel's connection list.
+ * Connections missing the sort or group value (no company, no known
+ * connection date) always go last.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const ListOrder = (() => {
+  const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+  // Compare two optional strings, empty values last
+  function compareText(a, b) {
+    if (!a !== !b) return a ? -1 : 1;
+    return collator.compare(a || '', b || '');
+  }
+
+  function compareNumber(a, b, descending) {
+    if (!a !== !b) return a ? -1 : 1;
+    return descending ? (b || 0) - (a || 0) : (a || 0) - (b || 0);
+  }
+
+  const byName = (a, b) => compareText(a.name, b.name);
+
+  const SORTS = {
+    default: { label: 'Fetched order', compare: null },
+    name: { label: 'Name', compare: byName },
+    lastName: {
+      label: 'Last name',
+      compare: (a, b) => compareText(a.lastName, b.lastName) || compareText(a.firstName, b.firstName),
+    },
+    newest: { label: 'Newest connections', compare: (a, b) => compareNumber(a.connectedAt, b.connectedAt, true) },
+    oldest: { label: 'Oldest connections', compare: (a, b) => compareNumber(a.connectedAt, b.connectedAt, false) },
+    company: { label: 'Company', compare: (a, b) => compareText(a.company, b.company) || byName(a, b) },
+    headline: { label: 'Headline', compare: (a, b) => compareText(a.headline, b.headline) || byName(a, b) },
+  };
+
+  // Seniority groups from most to least senior, then undetected
+  const SENIORITY_ORDER = ['c-level', 'vp', 'director', 'lead', 'senior', 'junior', 'intern', ''];
+  const SENIORITY_LABELS = {
+    'c-level': 'C-level / Founder',
+    vp: 'VP',
+    director: 'Director',
+    lead: 'Lead',
+    senior: 'Senior',
+    junior: 'Junior',
+    intern: 'Intern',
+    '': 'Seniority not detected',
+  };
+
+  const GROUPS = {
+    company: {
+      label: 'Company',
+      keyOf: conn => (conn.company || '').trim(),
+      labelOf: key => key || 'No company',
+      compareKeys: compareText,
+    },
+    seniority: {
+      label: 'Seniority',
+      keyOf: conn => conn.seniority || '',
+      labelOf: key => SENIORITY_LABELS[key] || key,
+      compareKeys: (a, b) => SENIORITY_ORDER.indexOf(a) - SENIORITY_ORDER.indexOf(b),
+    },
+    year: {
+      label: 'Connection year',
+      keyOf: conn => (conn.connectedAt ? String(new Date(conn.connectedAt).getFullYear()) : ''),
+      labelOf: key => key || 'Unknown year',
+      compareKeys: (a, b) => compareNumber(Number(a), Number(b), true),
+    },
+  };
+
+  /**
+   * Sorted copy of a connection list (stable, so ties keep fetched order).
+   * @param {string} sortKey - Key of SORTS
+   */
+  function sort(connections, sortKey) {
+    const compare = SORTS[sortKey]?.compare;
+    return compare ? [...connections].sort(compare) : [...connections];
+  }
+
+  /**
+   * Split connections into groups, keeping their order within each group.
+   * Company groups compare case-insensitively ("ACME" and "Acme" share one).
+   * @param {string} groupKey - Key of GROUPS
+   * @returns {Array<{id: string, label: string, connections: Array}>|null} - null when not grouping
+   */
+  function group(connections, groupKey) {
+    const def = GROUPS[groupKey];
+    if (!def) return null;
+
+    const groups = new Map();
+    for (const conn of connections) {
+      const key = def.keyOf(conn);
+      const id = `${groupKey}:${key.toLowerCase()}`;
+      if (!groups.has(id)) groups.set(id, { id, key, label: def.labelOf(key), connections: [] });
+      groups.get(id).connections.push(conn);
+    }
+    return [...groups.values()].sort((a, b) => def.compareKeys(a.key, b.key));
+  }
+
+  return {
+    SORTS,
+    GROUPS,
+    sort,
+    group,
+  };
+})();
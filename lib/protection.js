@@ -0,0 +1,144 @@
+/**
+ * "Never remove" protection for LinkedIn Connection Manager.
+ * Two layers: a manual list of starred connections, and rules that protect
+ * whole groups automatically (recent connections, headline keywords, companies).
+ * The background worker checks both before every removal and skips anyone
+ * protected, regardless of what the panel sent.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Protection = (() => {
+  const LIST_KEY = 'lcm_protected';
+  const RULES_KEY = 'lcm_protection_rules';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let writeChain = Promise.resolve();
+
+  const DEFAULT_RULES = {
+    recentDays: 0,   // Protect connections made within this many days (0 = off)
+    keywords: [],    // Protect headlines containing any of these
+    companies: [],   // Protect people whose headline mentions any of these companies
+  };
+
+  /**
+   * Stable key for a connection: entityUrn survives refreshes; connectionUrn is the fallback.
+   */
+  function keyOf(conn) {
+    return conn.entityUrn || conn.connectionUrn;
+  }
+
+  /**
+   * @returns {Promise<Object<string, {name: string, headline: string, profileUrl: string, addedAt: number}>>}
+   */
+  async function getList() {
+    const result = await chrome.storage.local.get(LIST_KEY);
+    return result[LIST_KEY] || {};
+  }
+
+  /**
+   * Read-modify-write the list, one change at a time, so quick clicks don't overwrite each other.
+   * @param {function(Object): void} fn - Mutates the list in place
+   * @returns {Promise<Object>} - The saved list
+   */
+  function updateList(fn) {
+    const run = writeChain.then(async () => {
+      const list = await getList();
+      fn(list);
+      await chrome.storage.local.set({ [LIST_KEY]: list });
+      return list;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function add(connections) {
+    return updateList(list => {
+      for (const conn of connections) {
+        list[keyOf(conn)] = {
+          name: conn.name || '',
+          headline: conn.headline || '',
+          profileUrl: conn.profileUrl || '',
+          connectionUrn: conn.connectionUrn || '',
+          addedAt: Date.now(),
+        };
+      }
+    });
+  }
+
+  /**
+   * Unprotect by connection objects or by list keys.
+   * @param {Array<Object|string>} items
+   */
+  function remove(items) {
+    return updateList(list => {
+      for (const item of items) {
+        const key = typeof item === 'string' ? item : keyOf(item);
+        delete list[key];
+        if (typeof item !== 'string' && item.connectionUrn) delete list[item.connectionUrn];
+      }
+    });
+  }
+
+  function isProtected(conn, list) {
+    return Boolean((conn.entityUrn && list[conn.entityUrn]) || (conn.connectionUrn && list[conn.connectionUrn]));
+  }
+
+  // ---- Rules ----
+
+  async function getRules() {
+    const result = await chrome.storage.local.get(RULES_KEY);
+    return { ...DEFAULT_RULES, ...(result[RULES_KEY] || {}) };
+  }
+
+  async function saveRules(rules) {
+    const clean = {
+      recentDays: Math.max(0, parseInt(rules.recentDays, 10) || 0),
+      keywords: (rules.keywords || []).map(k => k.trim()).filter(Boolean),
+      companies: (rules.companies || []).map(c => c.trim()).filter(Boolean),
+    };
+    await chrome.storage.local.set({ [RULES_KEY]: clean });
+    return clean;
+  }
+
+  /**
+   * Which rule (if any) protects a connection.
+   * @returns {string|null} - Human-readable reason, or null if no rule applies
+   */
+  function matchRules(conn, rules, now = Date.now()) {
+    if (rules.recentDays > 0 && conn.connectedAt && now - conn.connectedAt < rules.recentDays * DAY_MS) {
+      return `connected within ${rules.recentDays} days`;
+    }
+
+    // Plain substring matching (accents and case ignored): a rule should rather
+    // protect too many people than miss one
+    const headline = TextMatch.fold(conn.headline);
+    const keyword = rules.keywords.find(k => headline.includes(TextMatch.fold(k)));
+    if (keyword) return `headline matches "${keyword}"`;
+
+    const company = rules.companies.find(c => headline.includes(TextMatch.fold(c)));
+    if (company) return `works at "${company}"`;
+
+    return null;
+  }
+
+  /**
+   * Full protection check: manual list first, then rules.
+   * @returns {string|null} - Reason the connection is protected, or null
+   */
+  function check(conn, list, rules) {
+    if (isProtected(conn, list)) return 'starred';
+    return rules ? matchRules(conn, rules) : null;
+  }
+
+  return {
+    getList,
+    add,
+    remove,
+    isProtected,
+    getRules,
+    saveRules,
+    matchRules,
+    check,
+  };
+})();
@@ -0,0 +1,243 @@
+/**
+ * Boolean filter query language for LinkedIn Connection Manager.
+ *
+ * Syntax:
+ *   recruiter talent          implicit AND
+ *   recruiter OR talent       OR (commas also mean OR, for old keyword lists)
+ *   NOT internal, -internal   negation
+ *   (a OR b) AND c            grouping
+ *   "vice president"          exact phrase
+ *   title:cto name:"jo doe"   field prefixes: title, name, company, seniority, function, tag, note
+ *   -has:photo                presence checks: has:headline, photo, company, note, tag, date
+ *   connected:<2020           date comparisons: <, <=, >, >=, = with YYYY, YYYY-MM or YYYY-MM-DD
+ *
+ * Operators are uppercase so lowercase "and"/"or"/"not" can still be searched for.
+ * Terms are folded with TextMatch, so matching ignores case and accents.
+ * Parse errors are thrown as Error with a `position` (character offset).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Query = (() => {
+  const TEXT_FIELDS = ['title', 'name', 'company', 'seniority', 'function', 'tag', 'note', 'has'];
+  const DATE_FIELDS = ['connected'];
+  const FIELDS = [...TEXT_FIELDS, ...DATE_FIELDS];
+  const OPERATORS = ['AND', 'OR', 'NOT'];
+
+  function syntaxError(message, position) {
+    const err = new Error(message);
+    err.position = position;
+    return err;
+  }
+
+  // ---- Tokenizer ----
+
+  /**
+   * @returns {Array<{type: string, value?: string, field?: string, pos: number}>}
+   */
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+      const start = i;
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw syntaxError('Unclosed quote', start);
+      i = end + 1;
+      return text.substring(start + 1, end);
+    };
+
+    const readWord = () => {
+      const start = i;
+      while (i < text.length && !/[\s(),"]/.test(text[i])) i++;
+      return text.substring(start, i);
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      const pos = i;
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, pos });
+        i++;
+      } else if (ch === ',') {
+        tokens.push({ type: 'OR', pos });
+        i++;
+      } else if (ch === '"') {
+        tokens.push({ type: 'TERM', value: readQuoted(), phrase: true, pos });
+      } else if (ch === '-' && i + 1 < text.length && !/[\s),]/.test(text[i + 1])) {
+        tokens.push({ type: 'NOT', pos });
+        i++;
+      } else {
+        const word = readWord();
+        const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+
+        if (OPERATORS.includes(word)) {
+          tokens.push({ type: word, pos });
+        } else if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+          const field = fieldMatch[1].toLowerCase();
+          let value = fieldMatch[2];
+          let phrase = false;
+          // title:"vice president" - the quoted value follows the colon directly
+          if (!value && text[i] === '"') {
+            value = readQuoted();
+            phrase = true;
+          }
+          if (!value) throw syntaxError(`Missing value after "${field}:"`, pos);
+          tokens.push({ type: 'TERM', field, value, phrase, pos });
+        } else {
+          tokens.push({ type: 'TERM', value: word, pos });
+        }
+      }
+    }
+    return tokens;
+  }
+
+  // ---- Parser ----
+
+  /**
+   * Parse a date comparison like "<2020" or ">=2019-06" into an op and a [start, end) range.
+   */
+  function parseDateComparison(value, pos) {
+    const match = value.match(/^(<=|>=|<|>|=)?(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if (!match) throw syntaxError(`Invalid date "${value}" (use e.g. <2020 or >=2019-06)`, pos);
+
+    const [, op = '=', year, month, day] = match;
+    const y = Number(year);
+    let start;
+    let end;
+    if (day) {
+      start = new Date(y, Number(month) - 1, Number(day));
+      end = new Date(y, Number(month) - 1, Number(day) + 1);
+    } else if (month) {
+      start = new Date(y, Number(month) - 1, 1);
+      end = new Date(y, Number(month), 1);
+    } else {
+      start = new Date(y, 0, 1);
+      end = new Date(y + 1, 0, 1);
+    }
+    return { op, start: start.getTime(), end: end.getTime() };
+  }
+
+  /**
+   * Parse query text into an AST, or null for an empty query.
+   * @param {string} text
+   * @param {string} defaultField - Field for terms without a prefix (e.g. 'any' or 'title')
+   */
+  function parse(text, defaultField = 'any') {
+    const tokens = tokenize(text || '');
+    if (tokens.length === 0) return null;
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const endPos = () => (text || '').length;
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (peek()?.type === 'OR') {
+        next();
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+      const children = [parseNot()];
+      for (;;) {
+        const token = peek();
+        if (!token || token.type === 'OR' || token.type === ')') break;
+        if (token.type === 'AND') next();
+        children.push(parseNot());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseNot() {
+      if (peek()?.type === 'NOT') {
+        next();
+        return { type: 'not', child: parseNot() };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const token = next();
+      if (!token) throw syntaxError('Unexpected end of query', endPos());
+
+      if (token.type === '(') {
+        const expr = parseOr();
+        const close = next();
+        if (!close || close.type !== ')') throw syntaxError('Missing closing parenthesis', close ? close.pos : endPos());
+        return expr;
+      }
+
+      if (token.type === 'TERM') {
+        const field = token.field || defaultField;
+        if (DATE_FIELDS.includes(field)) {
+          return { type: 'date', field, ...parseDateComparison(token.value, token.pos) };
+        }
+        return { type: 'term', field, value: TextMatch.fold(token.value), phrase: Boolean(token.phrase) };
+      }
+
+      if (token.type === ')') throw syntaxError('Unexpected ")"', token.pos);
+      throw syntaxError(`Unexpected ${token.type} (expected a search term)`, token.pos);
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      const token = tokens[index];
+      throw syntaxError(token.type === ')' ? 'Unexpected ")"' : 'Unexpected input', token.pos);
+    }
+    return ast;
+  }
+
+  // ---- Evaluation ----
+
+  /**
+   * Test a connection against a parsed query.
+   * @param {Object|null} ast - From parse(); null matches everything
+   * @param {Object} conn
+   * @param {function(Object, string): (string|Array<string>|number|null)} resolve -
+   *   Returns the field value for a connection: folded text (TextMatch.fold), an array
+   *   (tags, function ids, present fields for has:), or a timestamp (date fields)
+   * @param {string} mode - TextMatch mode for text fields: 'contains', 'word' or 'prefix'
+   */
+  function evaluate(ast, conn, resolve, mode = 'contains') {
+    if (!ast) return true;
+
+    switch (ast.type) {
+      case 'and':
+        return ast.children.every(child => evaluate(child, conn, resolve, mode));
+      case 'or':
+        return ast.children.some(child => evaluate(child, conn, resolve, mode));
+      case 'not':
+        return !evaluate(ast.child, conn, resolve, mode);
+      case 'term': {
+        const value = resolve(conn, ast.field);
+        if (Array.isArray(value)) return value.includes(ast.value);
+        return typeof value === 'string' && TextMatch.matches(value, ast.value, mode);
+      }
+      case 'date': {
+        const ts = resolve(conn, ast.field);
+        if (!ts) return false;
+        switch (ast.op) {
+          case '<': return ts < ast.start;
+          case '<=': return ts < ast.end;
+          case '>': return ts >= ast.end;
+          case '>=': return ts >= ast.start;
+          default: return ts >= ast.start && ts < ast.end;
+        }
+      }
+      default:
+        return false;
+    }
+  }
+
+  return {
+    FIELDS,
+    parse,
+    evaluate,
+  };
+})();
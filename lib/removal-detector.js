@@ -0,0 +1,82 @@
+/**
+ * Finds who disappeared from the connection list without re-fetching it all.
+ * Pages are sorted RECENTLY_ADDED, so once new connections are accounted
+ * for, the live list is the cached list minus removed people. The "shift"
+ * at a page start (how far its first person moved up from their cached
+ * position) only grows, so bisecting on page starts finds every removal
+ * in O(removals x log pages) page fetches.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const RemovalDetector = (() => {
+  /**
+   * @param {Object} options
+   * @param {Array} options.cached - Cached connections, newest first
+   * @param {number} options.total - Connection count reported by LinkedIn
+   * @param {number} options.addedCount - New connections found at the front
+   * @param {number} options.pageSize
+   * @param {Map<number, Array>} options.pages - Pages already fetched, by start
+   * @param {function(number): Promise<Array|null>} options.fetchPage - Connections on the page at a start
+   * @returns {Promise<Set<string>|null>} - connectionUrns of removed people, or null when the
+   *   cache and the live list don't line up (caller should fall back to a full fetch)
+   */
+  async function locate({ cached, total, addedCount, pageSize, pages, fetchPage }) {
+    const cachedIndex = new Map(cached.map((c, i) => [c.connectionUrn, i]));
+    const removedCount = cached.length - (total - addedCount);
+    const removed = new Set();
+    if (removedCount <= 0) return removedCount === 0 ? removed : null;
+
+    async function getPage(start) {
+      if (!pages.has(start)) pages.set(start, await fetchPage(start));
+      return pages.get(start);
+    }
+
+    // Shift at a page start, or null if the page doesn't fit the cache. A page
+    // starting among the new connections has no cached people before it
+    async function shiftAt(start) {
+      if (start < addedCount) return 0;
+      const page = await getPage(start);
+      if (!page || page.length === 0) return null;
+      const j = cachedIndex.get(page[0].connectionUrn);
+      return j === undefined ? null : j - (start - addedCount);
+    }
+
+    // Virtual bounds: before the first page nothing is shifted; past the end, everyone is
+    const end = Math.ceil(total / pageSize) * pageSize;
+    const shifts = new Map([[0, 0], [end, removedCount]]);
+
+    // First cached index at or after a page start
+    const cachedAt = start => Math.min(cached.length, Math.max(0, start - addedCount + shifts.get(start)));
+
+    async function search(lo, hi) {
+      const shiftLo = shifts.get(lo);
+      const shiftHi = shifts.get(hi);
+      if (shiftHi < shiftLo) return false;
+      if (shiftHi === shiftLo) return true;
+
+      if (hi - lo === pageSize) {
+        // Everyone cached in this span who isn't on the page is gone
+        const page = await getPage(lo);
+        if (!page) return false;
+        const present = new Set(page.map(c => c.connectionUrn));
+        for (let j = cachedAt(lo); j < cachedAt(hi); j++) {
+          if (!present.has(cached[j].connectionUrn)) removed.add(cached[j].connectionUrn);
+        }
+        return true;
+      }
+
+      const mid = lo + Math.floor((hi - lo) / pageSize / 2) * pageSize;
+      const shift = await shiftAt(mid);
+      if (shift === null) return false;
+      shifts.set(mid, shift);
+      return (await search(lo, mid)) && search(mid, hi);
+    }
+
+    const ok = await search(0, end);
+    return ok && removed.size === removedCount ? removed : null;
+  }
+
+  return {
+    locate,
+  };
+})();
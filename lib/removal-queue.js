@@ -0,0 +1,213 @@
+/**
+ * Persistent removal job for LinkedIn Connection Manager.
+ * A bulk removal is stored as one job with a status per item, so the
+ * background worker can pick it up where it stopped after Chrome suspends
+ * the service worker or the browser restarts. Only one job exists at a time.
+ * A dry-run job goes through the same steps without sending any removals.
+ * A job can be spread over several days, each day allowing an equal share.
+ * Writes are serialized so pause/cancel requests and item updates made
+ * concurrently in the worker don't overwrite each other.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const RemovalQueue = (() => {
+  const STORAGE_KEY = 'lcm_removal_job';
+
+  // Connection fields the worker needs to remove, protect-check and audit an item
+  const ITEM_FIELDS = [
+    'name', 'firstName', 'lastName', 'headline', 'profileUrl', 'publicIdentifier',
+    'connectionUrn', 'entityUrn', 'connectedAt', 'selectedBy',
+  ];
+
+  const REPORT_COLUMNS = [
+    { key: 'position', label: 'Order' },
+    { key: 'name', label: 'Name' },
+    { key: 'headline', label: 'Headline' },
+    { key: 'profileUrl', label: 'Profile URL' },
+    { key: 'outcome', label: 'Outcome' },
+    { key: 'reason', label: 'Reason' },
+    { key: 'eta', label: 'Estimated start' },
+    { key: 'selectedBy', label: 'Selected by' },
+  ];
+
+  const REPORT_OUTCOMES = {
+    simulated: 'Would remove',
+    removed: 'Removed',
+    skipped: 'Skipped',
+    failed: 'Failed',
+    pending: 'Not processed',
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let writeChain = Promise.resolve();
+
+  /**
+   * @returns {Promise<Object|null>} - The current job, or null
+   */
+  async function get() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || null;
+  }
+
+  /**
+   * Read-modify-write the job, one change at a time.
+   * @param {function(Object): void} fn - Mutates the job in place
+   * @returns {Promise<Object|null>} - The updated job, or null if there is none
+   */
+  function update(fn) {
+    const run = writeChain.then(async () => {
+      const job = await get();
+      if (!job) return null;
+      fn(job);
+      job.updatedAt = Date.now();
+      await chrome.storage.local.set({ [STORAGE_KEY]: job });
+      return job;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start a new job, replacing any finished one.
+   * @param {Array} connections
+   * @param {{dryRun?: boolean, realDelays?: boolean, spreadDays?: number}} options - realDelays makes
+   *   a dry run wait out the pacing; spreadDays splits the job into equal daily shares
+   * @throws {Error} JOB_IN_PROGRESS if a job is still running or paused
+   */
+  function create(connections, options = {}) {
+    const run = writeChain.then(async () => {
+      const existing = await get();
+      if (existing && (existing.state === 'running' || existing.state === 'paused')) {
+        throw new Error('JOB_IN_PROGRESS');
+      }
+      const now = Date.now();
+      const job = {
+        id: now.toString(36),
+        state: 'running',      // 'running' | 'paused' | 'cancelled' | 'done'
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        nextRunAt: now,        // Earliest time the next item may be processed (delays survive restarts)
+        resumedAt: null,       // { index, at } when the worker last picked the job back up
+        dryRun: Boolean(options.dryRun),
+        realDelays: Boolean(options.realDelays),
+        spreadDays: Math.max(0, parseInt(options.spreadDays, 10) || 0),
+        estimatedMs: 0,        // Dry runs: pacing, request time and holds so far, as a real run would take it
+        heldMs: 0,             // Dry runs: the part of estimatedMs spent waiting for quotas, schedule or spread
+        hold: null,            // { until, reason, message } while held by a quota, the schedule or the spread
+        throttle: null,        // Adaptive rate-limit state (lib/throttle.js), kept across restarts
+        items: connections.map(conn => {
+          const connection = {};
+          for (const field of ITEM_FIELDS) {
+            if (conn[field] !== undefined) connection[field] = conn[field];
+          }
+          // status: 'pending' | 'removed' | 'simulated' (dry run) | 'skipped' | 'failed'
+          return { connection, status: 'pending', attempts: 0, error: '', offsetMs: null };
+        }),
+      };
+      await chrome.storage.local.set({ [STORAGE_KEY]: job });
+      return job;
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  function clear() {
+    const run = writeChain.then(() => chrome.storage.local.remove(STORAGE_KEY));
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Progress and outcome counts for the side panel. Dry runs count
+   * would-be removals as completed but never list them as removed.
+   */
+  function summarize(job) {
+    const summary = {
+      id: job.id,
+      state: job.state,
+      total: job.items.length,
+      processed: 0,
+      completed: 0,
+      removed: [],
+      skipped: [],
+      failed: [],
+      resumedAt: job.resumedAt,
+      cancelled: job.state === 'cancelled',
+      dryRun: job.dryRun,
+      estimatedMs: job.estimatedMs,
+      heldMs: job.heldMs,
+      spreadDays: job.spreadDays,
+      hold: job.hold,
+    };
+    for (const item of job.items) {
+      if (item.status === 'pending') continue;
+      summary.processed++;
+      if (item.status === 'simulated') {
+        summary.completed++;
+      } else if (item.status === 'removed') {
+        summary.completed++;
+        summary.removed.push(item.connection.connectionUrn);
+      } else if (item.status === 'skipped') {
+        summary.skipped.push(item.connection.connectionUrn);
+      } else {
+        summary.failed.push({ name: item.connection.name, error: item.error });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * For a job spread over several days: when today's share is used up, the
+   * time the next day's share opens. Unused shares carry over.
+   * @returns {number|null}
+   */
+  function spreadUntil(job, now = Date.now()) {
+    if (!job.spreadDays) return null;
+    const day = Math.floor((now - job.createdAt) / DAY_MS);
+    const allowed = Math.ceil(job.items.length / job.spreadDays) * (day + 1);
+    const processed = job.items.filter(item => item.status !== 'pending').length;
+    return processed >= allowed ? job.createdAt + (day + 1) * DAY_MS : null;
+  }
+
+  // e.g. "1:05:09" or "4:30"
+  function formatOffset(ms) {
+    const total = Math.round(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /**
+   * One CSV row per item, in processing order: what happened (or would have)
+   * and, for dry runs, when it would start relative to the beginning of the run.
+   * Real runs have no estimates, so their report leaves that column out.
+   */
+  function toReportCsv(job) {
+    const rows = job.items.map((item, i) => ({
+      position: i + 1,
+      name: item.connection.name,
+      headline: item.connection.headline,
+      profileUrl: item.connection.profileUrl,
+      outcome: REPORT_OUTCOMES[item.status] || item.status,
+      reason: item.error,
+      eta: item.offsetMs !== null ? formatOffset(item.offsetMs) : '',
+      selectedBy: item.connection.selectedBy,
+    }));
+    const columns = job.dryRun ? REPORT_COLUMNS : REPORT_COLUMNS.filter(col => col.key !== 'eta');
+    return Csv.stringify(rows, columns);
+  }
+
+  return {
+    get,
+    update,
+    create,
+    clear,
+    summarize,
+    spreadUntil,
+    formatOffset,
+    toReportCsv,
+  };
+})();
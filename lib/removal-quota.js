@@ -0,0 +1,101 @@
+/**
+ * Removal quotas for LinkedIn Connection Manager.
+ * Caps how many connections are removed per rolling 24 hours and 7 days,
+ * across every job and browser session, so several large cleanups in a row
+ * can't add up to an account restriction. The background worker records
+ * each successful removal here and waits when a window is full.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const RemovalQuota = (() => {
+  const SETTINGS_KEY = 'lcm_removal_quota';
+  const LOG_KEY = 'lcm_removal_quota_log';
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Off until the user sets them in the Limits view
+  const DEFAULT_SETTINGS = {
+    perDay: 0,   // Max removals in any 24 hours (0 = no limit)
+    perWeek: 0,  // Max removals in any 7 days (0 = no limit)
+  };
+
+  const WINDOWS = [
+    { key: 'perDay', label: '24 hours', ms: 24 * HOUR_MS },
+    { key: 'perWeek', label: '7 days', ms: 7 * 24 * HOUR_MS },
+  ];
+  const LONGEST_WINDOW_MS = Math.max(...WINDOWS.map(w => w.ms));
+
+  async function getSettings() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+  }
+
+  async function saveSettings(settings) {
+    const clean = {
+      perDay: Math.max(0, parseInt(settings.perDay, 10) || 0),
+      perWeek: Math.max(0, parseInt(settings.perWeek, 10) || 0),
+    };
+    await chrome.storage.local.set({ [SETTINGS_KEY]: clean });
+    return clean;
+  }
+
+  /**
+   * Timestamps of removals within the longest window, oldest first.
+   */
+  async function getLog(now = Date.now()) {
+    const result = await chrome.storage.local.get(LOG_KEY);
+    return (result[LOG_KEY] || []).filter(ts => now - ts < LONGEST_WINDOW_MS);
+  }
+
+  /**
+   * Count one successful removal, dropping entries too old to matter.
+   */
+  async function record(ts = Date.now()) {
+    const log = await getLog(ts);
+    log.push(ts);
+    await chrome.storage.local.set({ [LOG_KEY]: log });
+  }
+
+  /**
+   * Usage of each window and, if any is full, when the next removal is allowed.
+   * @param {Object} settings
+   * @param {Array<number>} log - From getLog()
+   * @returns {{windows: Array<{key: string, label: string, limit: number, used: number}>,
+   *   blockedUntil: number|null, blockedBy: Object|null}}
+   */
+  function evaluate(settings, log, now = Date.now()) {
+    let blockedUntil = null;
+    let blockedBy = null;
+    const windows = WINDOWS.map(def => {
+      const limit = settings[def.key] || 0;
+      const inWindow = log.filter(ts => now - ts < def.ms);
+      const window = { key: def.key, label: def.label, limit, used: inWindow.length };
+      if (limit > 0 && inWindow.length >= limit) {
+        // A slot frees up when enough of the oldest removals age out
+        const opensAt = inWindow[inWindow.length - limit] + def.ms;
+        if (blockedUntil === null || opensAt > blockedUntil) {
+          blockedUntil = opensAt;
+          blockedBy = window;
+        }
+      }
+      return window;
+    });
+    return { windows, blockedUntil, blockedBy };
+  }
+
+  async function check(now = Date.now()) {
+    const [settings, log] = await Promise.all([getSettings(), getLog(now)]);
+    return evaluate(settings, log, now);
+  }
+
+  return {
+    SETTINGS_KEY,
+    WINDOWS,
+    getSettings,
+    saveSettings,
+    getLog,
+    record,
+    evaluate,
+    check,
+  };
+})();
@@ -0,0 +1,105 @@
+/**
+ * Removal schedule for LinkedIn Connection Manager.
+ * Restricts removals to a daily time window on chosen weekdays (e.g.
+ * 09:00-18:00, Monday to Friday), in local time. The background worker holds
+ * a job outside the window and continues when the next one opens.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const RemovalSchedule = (() => {
+  const STORAGE_KEY = 'lcm_removal_schedule';
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+  const DEFAULT_SETTINGS = {
+    enabled: false,
+    days: [1, 2, 3, 4, 5],  // Date.getDay() values: 0 = Sunday
+    start: '09:00',
+    end: '18:00',
+  };
+
+  function toMinutes(time) {
+    const match = TIME_RE.exec(time);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  async function getSettings() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEY] || {}) };
+  }
+
+  /**
+   * @throws {Error} With a message for the user if the window is invalid
+   */
+  async function saveSettings(settings) {
+    const start = toMinutes(settings.start);
+    const end = toMinutes(settings.end);
+    if (start === null || end === null) throw new Error('Start and end must be times like 09:00.');
+    if (end <= start) throw new Error('The window must end after it starts on the same day.');
+
+    const days = [...new Set((settings.days || []).map(Number))].filter(d => d >= 0 && d <= 6).sort();
+    if (days.length === 0) throw new Error('Pick at least one day.');
+
+    const clean = { enabled: Boolean(settings.enabled), days, start: settings.start, end: settings.end };
+    await chrome.storage.local.set({ [STORAGE_KEY]: clean });
+    return clean;
+  }
+
+  // The given day's window as timestamps
+  function windowOn(settings, date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return {
+      day: day.getDay(),
+      opens: day.getTime() + toMinutes(settings.start) * 60000,
+      closes: day.getTime() + toMinutes(settings.end) * 60000,
+    };
+  }
+
+  function isOpen(settings, now = Date.now()) {
+    if (!settings.enabled) return true;
+    const today = windowOn(settings, now);
+    return settings.days.includes(today.day) && now >= today.opens && now < today.closes;
+  }
+
+  /**
+   * The current window, or the next one to open.
+   * @returns {{opens: number, closes: number}|null} - null if no days are enabled
+   */
+  function nextWindow(settings, now = Date.now()) {
+    const date = new Date(now);
+    for (let i = 0; i <= 7; i++) {
+      const window = windowOn(settings, date);
+      if (settings.days.includes(window.day) && now < window.closes) {
+        return { opens: Math.max(now, window.opens), closes: window.closes };
+      }
+      date.setDate(date.getDate() + 1);
+    }
+    return null;
+  }
+
+  /**
+   * e.g. "Mon-Fri 09:00-18:00" or "Mon, Wed, Sat 10:00-12:00"
+   */
+  function describe(settings) {
+    const days = settings.days;
+    const consecutive = days.length > 2 && days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+    const dayText = days.length === 7
+      ? 'Every day'
+      : consecutive
+        ? `${DAY_NAMES[days[0]]}-${DAY_NAMES[days[days.length - 1]]}`
+        : days.map(d => DAY_NAMES[d]).join(', ');
+    return `${dayText} ${settings.start}-${settings.end}`;
+  }
+
+  return {
+    STORAGE_KEY,
+    DAY_NAMES,
+    getSettings,
+    saveSettings,
+    isOpen,
+    nextWindow,
+    describe,
+  };
+})();
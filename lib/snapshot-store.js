@@ -0,0 +1,136 @@
+/**
+ * Dated network snapshots for LinkedIn Connection Manager.
+ * Every completed fetch is saved as a compact snapshot so any two points in
+ * time can be compared: who joined, who disappeared, and whose headline changed.
+ * Removals made through the extension come from AuditLedger, which must be loaded
+ * before compare() is called.
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const SnapshotStore = (() => {
+  const INDEX_KEY = 'lcm_snapshots';
+  const SNAPSHOT_PREFIX = 'lcm_snapshot_';
+  const MAX_SNAPSHOTS = 30;
+
+  // ---- Internal ----
+
+  function compact(conn) {
+    return {
+      connectionUrn: conn.connectionUrn || '',
+      entityUrn: conn.entityUrn || '',
+      name: conn.name || '',
+      headline: conn.headline || '',
+      profileUrl: conn.profileUrl || '',
+    };
+  }
+
+  async function getIndex() {
+    const result = await chrome.storage.local.get(INDEX_KEY);
+    return result[INDEX_KEY] || [];
+  }
+
+  // ---- Storage ----
+
+  /**
+   * List saved snapshots, newest first.
+   * @returns {Promise<Array<{id: string, takenAt: number, count: number}>>}
+   */
+  async function list() {
+    const index = await getIndex();
+    return index.slice().sort((a, b) => b.takenAt - a.takenAt);
+  }
+
+  /**
+   * Save a snapshot of a completed fetch, pruning the oldest beyond MAX_SNAPSHOTS.
+   * @param {Array} connections
+   * @returns {Promise<{id: string, takenAt: number, count: number}>}
+   */
+  async function save(connections) {
+    const takenAt = Date.now();
+    const entry = { id: String(takenAt), takenAt, count: connections.length };
+
+    let index = await getIndex();
+    index.push(entry);
+    index.sort((a, b) => a.takenAt - b.takenAt);
+
+    const pruned = index.length > MAX_SNAPSHOTS ? index.slice(0, index.length - MAX_SNAPSHOTS) : [];
+    index = index.slice(pruned.length);
+
+    await chrome.storage.local.set({
+      [SNAPSHOT_PREFIX + entry.id]: connections.map(compact),
+      [INDEX_KEY]: index,
+    });
+    if (pruned.length > 0) {
+      await chrome.storage.local.remove(pruned.map(p => SNAPSHOT_PREFIX + p.id));
+    }
+    return entry;
+  }
+
+  /**
+   * Load one snapshot with its connections.
+   */
+  async function get(id) {
+    const index = await getIndex();
+    const entry = index.find(e => e.id === id);
+    if (!entry) throw new Error(`Snapshot ${id} not found`);
+    const result = await chrome.storage.local.get(SNAPSHOT_PREFIX + id);
+    return { ...entry, connections: result[SNAPSHOT_PREFIX + id] || [] };
+  }
+
+  async function remove(id) {
+    const index = await getIndex();
+    await chrome.storage.local.set({ [INDEX_KEY]: index.filter(e => e.id !== id) });
+    await chrome.storage.local.remove(SNAPSHOT_PREFIX + id);
+  }
+
+  // ---- Diff ----
+
+  /**
+   * Compare two snapshot connection lists.
+   * @param {Array} older - Connections in the earlier snapshot
+   * @param {Array} newer - Connections in the later snapshot
+   * @param {Set<string>} removedByUser - connectionUrns removed via the extension in between
+   * @returns {{added: Array, dropped: Array, removedByYou: Array, headlineChanged: Array<{before, after}>}}
+   */
+  function diff(older, newer, removedByUser = new Set()) {
+    const olderMap = new Map(older.map(c => [c.connectionUrn, c]));
+    const newerMap = new Map(newer.map(c => [c.connectionUrn, c]));
+
+    const added = newer.filter(c => !olderMap.has(c.connectionUrn));
+    const dropped = [];
+    const removedByYou = [];
+    const headlineChanged = [];
+
+    for (const before of older) {
+      const after = newerMap.get(before.connectionUrn);
+      if (!after) {
+        (removedByUser.has(before.connectionUrn) ? removedByYou : dropped).push(before);
+      } else if ((before.headline || '') !== (after.headline || '')) {
+        headlineChanged.push({ before, after });
+      }
+    }
+
+    return { added, dropped, removedByYou, headlineChanged };
+  }
+
+  /**
+   * Load two snapshots and diff them, oldest first regardless of argument order.
+   */
+  async function compare(idA, idB) {
+    const [a, b] = await Promise.all([get(idA), get(idB)]);
+    const [older, newer] = a.takenAt <= b.takenAt ? [a, b] : [b, a];
+    const removals = await AuditLedger.getEntries({ since: older.takenAt, until: newer.takenAt, outcome: 'removed' });
+    const removedByUser = new Set(removals.map(r => r.connectionUrn));
+    return { older, newer, ...diff(older.connections, newer.connections, removedByUser) };
+  }
+
+  return {
+    list,
+    save,
+    get,
+    remove,
+    diff,
+    compare,
+  };
+})();
@@ -0,0 +1,111 @@
+/**
+ * Suspicious-profile heuristics for LinkedIn Connection Manager.
+ * Scores how likely a connection is a spam or fake account (0-100) from
+ * what the connections list already gives us: photo, headline and name.
+ * A high score is a hint for review, not proof.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const SpamScorer = (() => {
+  // Scores at or above this are flagged on cards
+  const FLAG_THRESHOLD = 40;
+
+  const WEIGHTS = {
+    noPhoto: 20,
+    noHeadline: 20,
+    emoji: 15,
+    allCaps: 10,
+    keyword: 20,      // Per spam keyword, capped at KEYWORD_CAP
+    contactInfo: 20,
+    name: 15,
+  };
+  const KEYWORD_CAP = 40;
+
+  // Phrases scam and mass-invite accounts use and real headlines don't (matched folded, as whole words).
+  // Keep to unambiguous phrases: one hit already weighs as much as a missing photo
+  const SPAM_KEYWORDS = [
+    'binary options', 'trading signals', 'crypto signals', 'bitcoin investment', 'crypto investment',
+    'account manager forex', 'fund recovery', 'funds recovery', 'hack recovery', 'make money online',
+    'earn money online', 'guaranteed profit', 'guaranteed returns', '100% guaranteed', 'get rich quick',
+    'sugar daddy', 'sugar mommy', 'follow back', 'open to all invites',
+  ];
+
+  const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+  const HAS_EMOJI_RE = /\p{Extended_Pictographic}/u; // Non-global: safe to reuse with test()
+  const PHONE_RE = /\+?\d[\d\s().-]{7,}\d/g;
+  const CONTACT_RE = /[\w.+-]+@[\w-]+\.[\w.]+|wa\.me|t\.me\/|whatsapp\s*:|telegram\s*:/i;
+
+  // At least 9 digits, so year ranges like "2010 - 2020" don't count
+  function hasPhoneNumber(text) {
+    return (text.match(PHONE_RE) || []).some(match => match.replace(/\D/g, '').length >= 9);
+  }
+
+  function isAllCaps(text) {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length < 10) return false;
+    const upper = letters.filter(ch => ch === ch.toUpperCase() && ch !== ch.toLowerCase()).length;
+    return upper / letters.length > 0.8;
+  }
+
+  /**
+   * Things about a name real accounts rarely do: digits, emoji or symbols,
+   * a single word, shouting, or the same word as first and last name.
+   */
+  function nameProblem(conn) {
+    const name = (conn.name || '').trim();
+    if (!name) return 'no name';
+    if (/\d/.test(name)) return 'digits in name';
+    if (HAS_EMOJI_RE.test(name)) return 'emoji in name';
+    if (/[@#$%*_=+<>|\\/]/.test(name)) return 'symbols in name';
+    if (!/\s/.test(name)) return 'single-word name';
+    if (conn.firstName && conn.lastName && conn.firstName.toLowerCase() === conn.lastName.toLowerCase()) {
+      return 'first and last name are the same';
+    }
+    if (name.length > 4 && name === name.toUpperCase() && name !== name.toLowerCase()) return 'name in all caps';
+    return null;
+  }
+
+  /**
+   * @param {Object} conn
+   * @returns {{score: number, reasons: Array<string>}}
+   */
+  function score(conn) {
+    const reasons = [];
+    let total = 0;
+    const add = (points, reason) => {
+      total += points;
+      reasons.push(reason);
+    };
+
+    const headline = (conn.headline || '').trim();
+
+    if (!Facets.hasPhoto(conn)) add(WEIGHTS.noPhoto, 'no profile photo');
+
+    if (!headline) {
+      add(WEIGHTS.noHeadline, 'no headline');
+    } else {
+      const emojiCount = (headline.match(EMOJI_RE) || []).length;
+      if (emojiCount >= 3) add(WEIGHTS.emoji, `${emojiCount} emoji in headline`);
+      if (isAllCaps(headline)) add(WEIGHTS.allCaps, 'headline in all caps');
+
+      const folded = TextMatch.fold(headline);
+      const keywords = SPAM_KEYWORDS.filter(k => TextMatch.matches(folded, k, 'word'));
+      if (keywords.length > 0) {
+        total += Math.min(KEYWORD_CAP, keywords.length * WEIGHTS.keyword);
+        reasons.push(`spam keywords: ${keywords.join(', ')}`);
+      }
+
+      if (hasPhoneNumber(headline) || CONTACT_RE.test(headline)) add(WEIGHTS.contactInfo, 'contact details in headline');
+    }
+
+    const problem = nameProblem(conn);
+    if (problem) add(WEIGHTS.name, problem);
+
+    return { score: Math.min(100, total), reasons };
+  }
+
+  return {
+    FLAG_THRESHOLD,
+    score,
+  };
+})();
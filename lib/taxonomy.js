@@ -0,0 +1,268 @@
+/**
+ * Job-function taxonomy for LinkedIn Connection Manager.
+ * Groups the many ways people describe the same job ("Recruiter", "Talent
+ * Acquisition Partner", "Sourcer", "Personalberater") under one function so
+ * the Job Title filter can match all of them at once. The built-in list can
+ * be edited in the side panel; edits replace it in storage.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Taxonomy = (() => {
+  const STORAGE_KEY = 'lcm_taxonomy';
+
+  // Synonyms are matched as whole words/phrases in the headline, ignoring case and accents
+  const DEFAULT_FUNCTIONS = [
+    {
+      id: 'recruiting',
+      label: 'Recruiting',
+      synonyms: [
+        'recruiter', 'recruiting', 'recruitment', 'talent acquisition', 'talent partner', 'talent scout',
+        'sourcer', 'sourcing', 'ta lead', 'ta partner', 'headhunter', 'executive search', 'staffing',
+        'personalberater', 'personalvermittler', 'recruteur', 'recruteuse', 'chargé de recrutement',
+        'reclutador', 'reclutadora', 'selección de personal', 'recrutador', 'recrutadora', 'selezionatore',
+        'werving en selectie',
+      ],
+    },
+    {
+      id: 'sales',
+      label: 'Sales',
+      synonyms: [
+        'sales', 'account executive', 'account manager', 'business development', 'bdr', 'sdr',
+        'sales development', 'key account', 'inside sales', 'partnerships', 'revenue',
+        'vertrieb', 'verkauf', 'außendienst', 'commercial', 'ventes', 'ventas', 'vendas', 'vendite', 'verkoop',
+      ],
+    },
+    {
+      id: 'marketing',
+      label: 'Marketing',
+      synonyms: [
+        'marketing', 'marketer', 'growth', 'seo', 'sem', 'content strategist', 'content manager', 'copywriter',
+        'brand manager', 'branding', 'social media', 'community manager', 'demand generation', 'communications',
+        'pr manager', 'public relations', 'mercadeo', 'mercadotecnia', 'kommunikation',
+      ],
+    },
+    {
+      id: 'engineering',
+      label: 'Engineering',
+      synonyms: [
+        'engineer', 'engineering', 'developer', 'software', 'programmer', 'devops', 'sre', 'architect',
+        'frontend', 'front-end', 'backend', 'back-end', 'full stack', 'fullstack', 'full-stack', 'coder',
+        'entwickler', 'softwareentwickler', 'ingenieur', 'ingénieur', 'développeur', 'desarrollador',
+        'ingeniero', 'desenvolvedor', 'engenheiro', 'sviluppatore', 'ontwikkelaar',
+      ],
+    },
+    {
+      id: 'data',
+      label: 'Data & Analytics',
+      synonyms: [
+        'data scientist', 'data science', 'data analyst', 'data engineer', 'analytics', 'business intelligence',
+        'machine learning', 'ml engineer', 'ai engineer', 'statistician', 'datenanalyst', 'analyste de données',
+        'científico de datos', 'cientista de dados',
+      ],
+    },
+    {
+      id: 'product',
+      label: 'Product',
+      synonyms: [
+        'product manager', 'product owner', 'product management', 'product lead', 'head of product',
+        'chief product officer', 'cpo', 'produktmanager', 'chef de produit',
+      ],
+    },
+    {
+      id: 'design',
+      label: 'Design',
+      synonyms: [
+        'designer', 'design', 'ux', 'ui', 'user experience', 'user research', 'ux researcher', 'art director',
+        'creative director', 'illustrator', 'gestalter', 'diseñador', 'diseñadora', 'designer gráfico',
+      ],
+    },
+    {
+      id: 'hr',
+      label: 'HR & People',
+      synonyms: [
+        'human resources', 'hr', 'hrbp', 'people operations', 'people partner', 'people & culture',
+        'chief people officer', 'personalwesen', 'personalreferent', 'ressources humaines', 'rrhh',
+        'recursos humanos', 'risorse umane',
+      ],
+    },
+    {
+      id: 'finance',
+      label: 'Finance',
+      synonyms: [
+        'finance', 'financial', 'accountant', 'accounting', 'controller', 'controlling', 'cfo', 'treasury',
+        'auditor', 'audit', 'fp&a', 'bookkeeper', 'buchhalter', 'buchhaltung', 'comptable', 'contador',
+        'contadora', 'contabilidad', 'finanzas', 'finanças', 'commercialista',
+      ],
+    },
+    {
+      id: 'operations',
+      label: 'Operations',
+      synonyms: [
+        'operations', 'ops manager', 'coo', 'supply chain', 'logistics', 'procurement', 'purchasing',
+        'project manager', 'program manager', 'scrum master', 'logistik', 'einkauf', 'opérations',
+        'operaciones', 'operações',
+      ],
+    },
+    {
+      id: 'consulting',
+      label: 'Consulting',
+      synonyms: [
+        'consultant', 'consulting', 'advisor', 'adviser', 'berater', 'beratung', 'unternehmensberater',
+        'conseil', 'consultor', 'consultora', 'consulente', 'adviseur',
+      ],
+    },
+    {
+      id: 'founders',
+      label: 'Founders & Owners',
+      synonyms: [
+        'founder', 'co-founder', 'cofounder', 'owner', 'entrepreneur', 'ceo', 'managing director',
+        'gründer', 'mitgründer', 'inhaber', 'geschäftsführer', 'fondateur', 'fondatrice', 'fundador',
+        'fundadora', 'emprendedor', 'empreendedor', 'fondatore', 'oprichter',
+      ],
+    },
+    {
+      id: 'students',
+      label: 'Students',
+      synonyms: [
+        'student', 'undergraduate', 'graduate student', 'phd candidate', 'phd student', 'intern', 'internship',
+        'working student', 'werkstudent', 'werkstudentin', 'studentin', 'praktikant', 'praktikantin',
+        'étudiant', 'étudiante', 'stagiaire', 'estudiante', 'becario', 'becaria', 'estudante', 'estagiário',
+        'stagista', 'studente',
+      ],
+    },
+    {
+      id: 'legal',
+      label: 'Legal',
+      synonyms: [
+        'lawyer', 'attorney', 'counsel', 'legal', 'paralegal', 'solicitor', 'barrister', 'compliance',
+        'rechtsanwalt', 'rechtsanwältin', 'jurist', 'juristin', 'avocat', 'avocate', 'juriste', 'abogado',
+        'abogada', 'advogado', 'advogada', 'avvocato',
+      ],
+    },
+    {
+      id: 'support',
+      label: 'Customer Success & Support',
+      synonyms: [
+        'customer success', 'customer support', 'customer service', 'customer experience', 'support engineer',
+        'technical support', 'help desk', 'helpdesk', 'kundenservice', 'kundenbetreuung', 'service client',
+        'atención al cliente', 'atendimento ao cliente',
+      ],
+    },
+    {
+      id: 'education',
+      label: 'Education & Research',
+      synonyms: [
+        'teacher', 'professor', 'lecturer', 'researcher', 'research scientist', 'postdoc', 'tutor', 'educator',
+        'lehrer', 'lehrerin', 'dozent', 'dozentin', 'wissenschaftler', 'enseignant', 'enseignante',
+        'chercheur', 'chercheuse', 'profesor', 'profesora', 'investigador', 'investigadora', 'professora',
+        'pesquisador', 'insegnante', 'docente', 'ricercatore', 'docent', 'onderzoeker',
+      ],
+    },
+  ];
+
+  // Compiled matchers, keyed by function object (rebuilt when the list is edited)
+  let compiled = new WeakMap();
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function toId(label) {
+    return label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'function';
+  }
+
+  /**
+   * Whole-word regex for a function's synonyms; letters and digits on either
+   * side of a synonym mean it is part of a longer word and doesn't count.
+   */
+  function matcherFor(fn) {
+    let re = compiled.get(fn);
+    if (!re) {
+      const alternatives = fn.synonyms
+        .map(s => TextMatch.fold(s.trim()))
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      re = alternatives.length > 0
+        ? new RegExp(`(?:^|[^\\p{L}\\p{N}])(?:${alternatives.join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u')
+        : null;
+      compiled.set(fn, re);
+    }
+    return re;
+  }
+
+  // ---- Storage ----
+
+  /**
+   * @returns {Promise<Array<{id: string, label: string, synonyms: Array<string>}>>}
+   */
+  async function getFunctions() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    return result[STORAGE_KEY] || DEFAULT_FUNCTIONS;
+  }
+
+  /**
+   * Replace the taxonomy. Functions without a label or synonyms are dropped.
+   * Existing functions keep their ids, so presets and function: queries keep
+   * pointing at them; new ones get an id derived from the label, made unique.
+   */
+  async function saveFunctions(functions) {
+    const rows = [];
+    for (const fn of functions) {
+      const label = String(fn.label || '').trim();
+      const synonyms = [...new Set((fn.synonyms || []).map(s => s.trim().toLowerCase()).filter(Boolean))];
+      if (label && synonyms.length > 0) rows.push({ id: fn.id || '', label, synonyms });
+    }
+
+    const seen = new Set();
+    const uniqueId = base => {
+      let id = base;
+      for (let n = 2; seen.has(id); n++) id = `${base}-${n}`;
+      seen.add(id);
+      return id;
+    };
+    // Existing rows first, wherever they are in the list, so a new row can't take their id
+    for (const row of rows) {
+      if (row.id) row.id = uniqueId(row.id);
+    }
+    for (const row of rows) {
+      if (!row.id) row.id = uniqueId(toId(row.label));
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: rows });
+    compiled = new WeakMap();
+    return rows;
+  }
+
+  async function reset() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+    compiled = new WeakMap();
+    return DEFAULT_FUNCTIONS;
+  }
+
+  // ---- Matching ----
+
+  /**
+   * Does text (usually a headline) mention any synonym of a function?
+   */
+  function matches(text, fn) {
+    const re = matcherFor(fn);
+    return Boolean(re && text && re.test(TextMatch.fold(text)));
+  }
+
+  /**
+   * Ids of every function a headline belongs to.
+   */
+  function classify(text, functions) {
+    return functions.filter(fn => matches(text, fn)).map(fn => fn.id);
+  }
+
+  return {
+    DEFAULT_FUNCTIONS,
+    getFunctions,
+    saveFunctions,
+    reset,
+    matches,
+    classify,
+  };
+})();
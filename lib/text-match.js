@@ -0,0 +1,61 @@
+/**
+ * Accent- and case-insensitive text matching for LinkedIn Connection Manager.
+ * Text is folded (Unicode-decomposed, combining marks stripped, lowercased) so
+ * "gerente" finds "Gérente", and keywords can be matched anywhere, as whole
+ * words only, or as word prefixes so "hr" no longer finds "cHRistopher".
+ * Works in both service worker (background.js) and page contexts (sidepanel.js).
+ */
+
+// eslint-disable-next-line no-unused-vars
+const TextMatch = (() => {
+  const MODES = ['contains', 'word', 'prefix'];
+
+  // Letters that don't decompose into base letter + combining mark
+  const SPECIAL_FOLDS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+  const SPECIAL_RE = /[ßæœøłđðþı]/g;
+
+  const WORD_CHAR_RE = /[\p{L}\p{N}]/u;
+
+  /**
+   * Normalize text for comparison: lowercase, accents removed.
+   */
+  function fold(str) {
+    return String(str ?? '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(SPECIAL_RE, ch => SPECIAL_FOLDS[ch]);
+  }
+
+  function isWordChar(ch) {
+    return ch !== undefined && WORD_CHAR_RE.test(ch);
+  }
+
+  /**
+   * Find a folded needle in folded text.
+   * @param {string} text - Already folded
+   * @param {string} needle - Already folded
+   * @param {string} mode - 'contains' (anywhere), 'word' (whole words) or 'prefix' (start of a word)
+   */
+  function matches(text, needle, mode = 'contains') {
+    if (!needle) return true;
+    if (mode === 'contains') return text.includes(needle);
+
+    // Check each occurrence's boundaries; a needle that itself starts or ends
+    // with punctuation (e.g. "c++") only needs a boundary on its word side
+    const needsStart = isWordChar(needle[0]);
+    const needsEnd = mode === 'word' && isWordChar(needle[needle.length - 1]);
+    for (let i = text.indexOf(needle); i !== -1; i = text.indexOf(needle, i + 1)) {
+      if (needsStart && isWordChar(text[i - 1])) continue;
+      if (needsEnd && isWordChar(text[i + needle.length])) continue;
+      return true;
+    }
+    return false;
+  }
+
+  return {
+    MODES,
+    fold,
+    matches,
+  };
+})();
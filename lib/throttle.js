@@ -0,0 +1,76 @@
+/**
+ * Adaptive throttling for LinkedIn Connection Manager.
+ * Decides how long to back off after a 429: the server's Retry-After when
+ * given, otherwise an exponential backoff up to a ceiling. Repeated
+ * throttling also slows the normal pacing, which speeds back up after a run
+ * of successful requests. State is a plain object so a removal job can keep
+ * it in storage across worker restarts.
+ */
+
+// eslint-disable-next-line no-unused-vars
+const Throttle = (() => {
+  const MAX_BACKOFF_MS = 15 * 60 * 1000;   // Ceiling for the exponential backoff
+  const MAX_RETRY_AFTER_MS = 60 * 60 * 1000; // Longest Retry-After we honor as given
+  const SLOWDOWN = 1.5;                     // Pacing multiplier per slowdown level
+  const MAX_LEVEL = 4;                      // ~5x the normal delays at most
+  const SPEEDUP_AFTER = 10;                 // Successes in a row before easing one level
+
+  function initial() {
+    return { strikes: 0, level: 0, successes: 0 };
+  }
+
+  /**
+   * Parse a Retry-After header: either seconds or an HTTP date.
+   * @returns {number|null} - Milliseconds to wait, or null if absent or unreadable
+   */
+  function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Register a 429.
+   * @param {Object} state - From initial() or a previous call
+   * @param {number|null} retryAfterMs - From the response, if it said
+   * @param {number} baseMs - Backoff for the first 429 in a row
+   * @returns {{state: Object, waitMs: number}}
+   */
+  function onThrottled(state, retryAfterMs, baseMs) {
+    const strikes = state.strikes + 1;
+    const backoff = Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (strikes - 1));
+    const waitMs = Math.max(backoff, Math.min(retryAfterMs || 0, MAX_RETRY_AFTER_MS));
+    return {
+      state: { strikes, level: Math.min(MAX_LEVEL, state.level + 1), successes: 0 },
+      waitMs,
+    };
+  }
+
+  /**
+   * Register a successful request; eases the slowdown one level per SPEEDUP_AFTER in a row.
+   */
+  function onSuccess(state) {
+    const successes = state.successes + 1;
+    if (state.level > 0 && successes >= SPEEDUP_AFTER) {
+      return { strikes: 0, level: state.level - 1, successes: 0 };
+    }
+    return { strikes: 0, level: state.level, successes };
+  }
+
+  /**
+   * Multiplier for the normal delays between requests.
+   */
+  function delayFactor(state) {
+    return SLOWDOWN ** state.level;
+  }
+
+  return {
+    initial,
+    parseRetryAfter,
+    onThrottled,
+    onSuccess,
+    delayFactor,
+  };
+})();
@@ -4,28 +4,72 @@
  */
 
 (() => {
+  const TAG = 'Panel';
+
   // ---- State ----
   let allConnections = [];        // All fetched connections
   let filteredConnections = [];   // Connections matching current filters
   let selectedUrns = new Set();   // URNs of selected connections
+  const selectionReasons = new Map(); // URN -> filter description active when it was selected
   let filterMode = 'exclude';     // 'exclude' = show matches to remove, 'include' = show matches to keep
+  let lastFetchedAt = null;       // Timestamp of the cached/last completed fetch
+  let listFilter = null;          // { label, urns: Set } - restrict matches to an imported list
+  let protectedList = {};         // Protection list keyed by entityUrn (see lib/protection.js)
+  let protectionRules = null;     // Automatic protection rules (see lib/protection.js)
+  let annotations = {};           // Local tags and notes keyed by entityUrn (see lib/annotations.js)
+  let jobFunctions = Taxonomy.DEFAULT_FUNCTIONS; // Job-function taxonomy (see lib/taxonomy.js)
+  let sortBy = 'default';         // Key of ListOrder.SORTS
+  let groupBy = '';               // Key of ListOrder.GROUPS, or '' for no grouping
+  const collapsedGroups = new Set(); // Ids of collapsed group headers
 
   // ---- DOM Elements ----
   const $ = (id) => document.getElementById(id);
 
   const btnFetch = $('btn-fetch');
   const authWarning = $('auth-warning');
+  const cacheInfo = $('cache-info');
+  const cacheCount = $('cache-count');
+  const cacheFetchedAt = $('cache-fetched-at');
+  const cacheLastChange = $('cache-last-change');
+  const btnFullRefresh = $('btn-full-refresh');
   const fetchProgressSection = $('fetch-progress');
+  const fetchLabel = $('fetch-label');
   const fetchCount = $('fetch-count');
   const fetchTotal = $('fetch-total');
   const fetchBar = $('fetch-bar');
+  const fetchStatus = $('fetch-status');
   const filtersSection = $('filters-section');
+  const filterFunction = $('filter-function');
   const filterTitle = $('filter-title');
   const filterKeywords = $('filter-keywords');
+  const filterTitleError = $('filter-title-error');
+  const filterKeywordsError = $('filter-keywords-error');
+  const filterMatchMode = $('filter-match-mode');
+  const filterSeniority = $('filter-seniority');
+  const filterSuspicious = $('filter-suspicious');
+  const filterTags = $('filter-tags');
+  const filterConnectedFrom = $('filter-connected-from');
+  const filterConnectedTo = $('filter-connected-to');
+  const filterConnectedPreset = $('filter-connected-preset');
+  const btnToggleHistogram = $('btn-toggle-histogram');
+  const yearHistogram = $('year-histogram');
+  const tagBar = $('tag-bar');
+  const listControls = $('list-controls');
+  const listSort = $('list-sort');
+  const listGroup = $('list-group');
+  const tagInput = $('tag-input');
+  const tagSuggestions = $('tag-suggestions');
+  const btnTagSelected = $('btn-tag-selected');
+  const btnUntagSelected = $('btn-untag-selected');
+  const listFilterRow = $('list-filter');
+  const listFilterLabel = $('list-filter-label');
+  const btnClearListFilter = $('btn-clear-list-filter');
   const modeExclude = $('mode-exclude');
   const modeInclude = $('mode-include');
   const filterMatchCount = $('filter-match-count');
   const filterTotalCount = $('filter-total-count');
+  const facetsSection = $('facets');
+  const facetsBody = $('facets-body');
   const selectionSection = $('selection-section');
   const selectedCount = $('selected-count');
   const btnSelectAll = $('btn-select-all');
@@ -38,19 +82,30 @@
   const confirmModal = $('confirm-modal');
   const confirmCount = $('confirm-count');
   const confirmList = $('confirm-list');
+  const confirmProtected = $('confirm-protected');
+  const confirmQuota = $('confirm-quota');
   const btnConfirmCancel = $('btn-confirm-cancel');
   const btnConfirmRemove = $('btn-confirm-remove');
+  const confirmDryRun = $('confirm-dry-run');
+  const confirmRealDelays = $('confirm-real-delays');
+  const confirmSpread = $('confirm-spread');
   const removalProgress = $('removal-progress');
+  const removeTitle = $('remove-title');
+  const removeLabel = $('remove-label');
   const removeCompleted = $('remove-completed');
   const removeTotal = $('remove-total');
   const removeBar = $('remove-bar');
   const removeCurrent = $('remove-current');
   const removeStatus = $('remove-status');
+  const removeResumed = $('remove-resumed');
+  const removeSchedule = $('remove-schedule');
   const btnPause = $('btn-pause');
   const btnResume = $('btn-resume');
   const btnCancelRemoval = $('btn-cancel-removal');
   const removalDone = $('removal-done');
+  const removalDoneTitle = $('removal-done-title');
   const removalSummary = $('removal-summary');
+  const btnDownloadReport = $('btn-download-report');
   const btnDone = $('btn-done');
 
   // ---- Helpers ----
@@ -73,14 +128,24 @@
   }
 
   /**
-   * Debounce a function.
+   * Debounce a function. The result's flush() runs a pending call right away.
    */
   function debounce(fn, ms) {
     let timer;
-    return (...args) => {
+    let pending = null;
+    const debounced = (...args) => {
+      clearTimeout(timer);
+      pending = args;
+      timer = setTimeout(debounced.flush, ms);
+    };
+    debounced.flush = () => {
       clearTimeout(timer);
-      timer = setTimeout(() => fn(...args), ms);
+      if (!pending) return undefined;
+      const args = pending;
+      pending = null;
+      return fn(...args);
     };
+    return debounced;
   }
 
   /**
@@ -92,43 +157,350 @@
     )}`;
   }
 
+  /**
+   * Format a timestamp as a short relative time, e.g. "5 min ago".
+   */
+  function formatRelativeTime(ts) {
+    const seconds = Math.round((Date.now() - ts) / 1000);
+    if (seconds < 60) return 'just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.round(hours / 24);
+    return `${days} day${days !== 1 ? 's' : ''} ago`;
+  }
+
+  /**
+   * Rough duration, e.g. "2 h 5 min" or "40 s".
+   */
+  function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  /**
+   * One line about a 429 and the backoff, e.g.
+   * "Rate limited (2 in a row) - waiting 2 min (Retry-After 90 s). Pace slowed to 2.3x."
+   */
+  function describeThrottle({ waitMs, retryAfterMs, strikes, factor }) {
+    let text = `Rate limited${strikes > 1 ? ` (${strikes} in a row)` : ''} - waiting ${formatDuration(waitMs)}`;
+    if (retryAfterMs) text += ` (Retry-After ${formatDuration(retryAfterMs)})`;
+    if (factor > 1) text += `. Pace slowed to ${factor.toFixed(1)}x.`;
+    return text;
+  }
+
+  // ---- Cache ----
+
+  /**
+   * Update the "last fetched" line under the header.
+   */
+  function updateCacheInfo() {
+    if (!lastFetchedAt) {
+      cacheInfo.style.display = 'none';
+      return;
+    }
+    cacheCount.textContent = allConnections.length;
+    cacheFetchedAt.textContent = formatRelativeTime(lastFetchedAt);
+    cacheFetchedAt.title = new Date(lastFetchedAt).toLocaleString();
+    cacheInfo.style.display = 'block';
+  }
+
+  /**
+   * Show the filter, selection, and list sections once connections are available.
+   */
+  function showConnectionsView() {
+    filtersSection.style.display = 'block';
+    selectionSection.style.display = 'flex';
+    tagBar.style.display = 'flex';
+    listControls.style.display = 'flex';
+    connectionList.style.display = 'block';
+    btnFetch.textContent = `Refresh (${allConnections.length})`;
+  }
+
+  /**
+   * Render the cached connection list right away when the panel opens.
+   */
+  async function loadCachedConnections() {
+    try {
+      const cached = await ConnectionStore.load();
+      if (cached.connections.length === 0) return;
+
+      // Re-derive headline fields so connections cached by older versions gain them
+      allConnections = cached.connections.map(HeadlineAnalyzer.enrich);
+      lastFetchedAt = cached.fetchedAt;
+      Logger.info(TAG, 'Loaded connections from cache', { count: allConnections.length, fetchedAt: lastFetchedAt });
+
+      showConnectionsView();
+      updateCacheInfo();
+      applyFilters();
+    } catch (err) {
+      Logger.warn(TAG, 'Failed to load connection cache', { error: err.message });
+    }
+  }
+
+  /**
+   * Trigger a file download of generated text content.
+   */
+  function downloadFile(filename, mimeType, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Date stamp for export filenames, e.g. "2024-05-01".
+   */
+  function fileDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
   // ---- Filtering ----
 
   /**
-   * Apply filters and update the UI.
+   * Describe the active filters in one line, recorded in the audit ledger as
+   * the reason a connection was selected.
    */
-  function applyFilters() {
-    const titleQuery = filterTitle.value.trim().toLowerCase();
-    const keywordsRaw = filterKeywords.value.trim().toLowerCase();
-    const keywords = keywordsRaw
-      ? keywordsRaw.split(',').map(k => k.trim()).filter(Boolean)
-      : [];
+  function describeFilters() {
+    const state = getFilterState();
+    const parts = describeFilterState(state);
+    if (listFilter) parts.push(`list: "${listFilter.label}"`);
+    if (parts.length === 0) return 'manual selection';
+    if ((state.title || state.keywords) && state.matchMode !== 'contains') parts.push(`match: ${state.matchMode}`);
+    parts.push(`mode: ${state.filterMode}`);
+    return parts.join('; ');
+  }
+
+  /**
+   * The criteria in a filter state, one "name: value" string each.
+   */
+  function describeFilterState(state) {
+    const parts = [];
+    const jobFunction = jobFunctions.find(fn => fn.id === state.jobFunction);
+    if (jobFunction) parts.push(`function: ${jobFunction.label}`);
+    if (state.title) parts.push(`title: "${state.title}"`);
+    if (state.keywords) parts.push(`keywords: "${state.keywords}"`);
+    if (state.seniority) parts.push(`seniority: ${state.seniority}`);
+    if (state.suspicious) parts.push(`suspicious score: ${state.suspicious}+`);
+    if (state.tags) parts.push(`tags: "${state.tags}"`);
+    if (state.connectedFrom || state.connectedTo) {
+      parts.push(`connected: ${state.connectedFrom || 'any'} to ${state.connectedTo || 'any'}`);
+    }
+    return parts;
+  }
+
+  /**
+   * Snapshot of every filter input, as saved in presets (see lib/filter-presets.js).
+   * The imported-list filter is left out: it only lives for the session.
+   */
+  function getFilterState() {
+    return {
+      jobFunction: filterFunction.value,
+      title: filterTitle.value.trim(),
+      keywords: filterKeywords.value.trim(),
+      matchMode: filterMatchMode.value,
+      seniority: filterSeniority.value,
+      suspicious: filterSuspicious.value,
+      tags: filterTags.value.trim(),
+      connectedFrom: filterConnectedFrom.value,
+      connectedTo: filterConnectedTo.value,
+      filterMode,
+    };
+  }
+
+  /**
+   * Restore filter inputs from a saved state; missing keys fall back to "no filter".
+   */
+  function setFilterState(state) {
+    filterFunction.value = jobFunctions.some(fn => fn.id === state.jobFunction) ? state.jobFunction : '';
+    filterTitle.value = state.title || '';
+    filterKeywords.value = state.keywords || '';
+    filterMatchMode.value = TextMatch.MODES.includes(state.matchMode) ? state.matchMode : 'contains';
+    filterSeniority.value = state.seniority || '';
+    if (filterSeniority.selectedIndex === -1) filterSeniority.value = '';
+    filterSuspicious.value = state.suspicious || '';
+    if (filterSuspicious.selectedIndex === -1) filterSuspicious.value = '';
+    filterTags.value = state.tags || '';
+    filterConnectedFrom.value = state.connectedFrom || '';
+    filterConnectedTo.value = state.connectedTo || '';
+    filterConnectedPreset.value = '';
+    setFilterMode(state.filterMode === 'include' ? 'include' : 'exclude');
+  }
+
+  /**
+   * Parse one query input, showing any syntax error inline under it.
+   * @returns {{ast: Object|null, error: boolean}}
+   */
+  function parseQueryInput(input, errorEl, defaultField) {
+    try {
+      const ast = Query.parse(input.value, defaultField);
+      errorEl.style.display = 'none';
+      input.classList.remove('filter-input--error');
+      return { ast, error: false };
+    } catch (err) {
+      errorEl.textContent = `${err.message} (at character ${err.position + 1})`;
+      errorEl.style.display = 'block';
+      input.classList.add('filter-input--error');
+      return { ast: null, error: true };
+    }
+  }
+
+  // Suspicious-profile scores per connection object (see lib/spam-scorer.js)
+  const spamCache = new WeakMap();
+
+  function spamOf(conn) {
+    let result = spamCache.get(conn);
+    if (!result) {
+      result = SpamScorer.score(conn);
+      spamCache.set(conn, result);
+    }
+    return result;
+  }
+
+  // Folded name/headline/company per connection object, so typing in a filter
+  // doesn't re-fold thousands of headlines on every keystroke
+  const foldCache = new WeakMap();
+
+  function foldedFields(conn) {
+    let folded = foldCache.get(conn);
+    if (!folded) {
+      folded = {
+        name: TextMatch.fold(conn.name),
+        headline: TextMatch.fold(conn.headline),
+        company: TextMatch.fold(conn.company),
+      };
+      foldCache.set(conn, folded);
+    }
+    return folded;
+  }
+
+  /**
+   * Field values for query evaluation (see lib/query.js).
+   */
+  function resolveQueryField(conn, field) {
+    switch (field) {
+      case 'title':
+        return foldedFields(conn).headline;
+      case 'name':
+        return foldedFields(conn).name;
+      case 'company':
+        return foldedFields(conn).company;
+      case 'seniority':
+        return conn.seniority || '';
+      case 'function':
+        return Taxonomy.classify(conn.headline, jobFunctions);
+      case 'tag':
+        return Annotations.getTags(conn, annotations).map(TextMatch.fold);
+      case 'note':
+        return TextMatch.fold(Annotations.getNote(conn, annotations));
+      case 'connected':
+        return conn.connectedAt || null;
+      case 'has':
+        return [
+          conn.headline && conn.headline.trim() ? 'headline' : null,
+          Facets.hasPhoto(conn) ? 'photo' : null,
+          conn.company ? 'company' : null,
+          Annotations.getNote(conn, annotations) ? 'note' : null,
+          Annotations.getTags(conn, annotations).length > 0 ? 'tag' : null,
+          conn.connectedAt ? 'date' : null,
+        ].filter(Boolean);
+      default: {
+        const { name, headline } = foldedFields(conn);
+        const note = Annotations.getNote(conn, annotations);
+        return note ? `${name} ${headline} ${TextMatch.fold(note)}` : `${name} ${headline}`;
+      }
+    }
+  }
+
+  /**
+   * Convert a date input value (YYYY-MM-DD) to a local-time timestamp.
+   * @param {boolean} endOfDay - Return the end of that day, for inclusive "to" dates
+   */
+  function parseDateInput(value, endOfDay = false) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, endOfDay ? day + 1 : day).getTime() - (endOfDay ? 1 : 0);
+  }
+
+  function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
 
-    const hasFilters = titleQuery || keywords.length > 0;
+  /**
+   * Set the connected date range and re-filter.
+   */
+  function setConnectedRange(from, to) {
+    filterConnectedFrom.value = from;
+    filterConnectedTo.value = to;
+    filterConnectedPreset.value = '';
+    applyFilters();
+  }
 
-    if (!hasFilters) {
+  /**
+   * Apply filters and update the UI.
+   */
+  function applyFilters() {
+    const jobFunction = jobFunctions.find(fn => fn.id === filterFunction.value);
+    const titleQuery = parseQueryInput(filterTitle, filterTitleError, 'title');
+    const keywordQuery = parseQueryInput(filterKeywords, filterKeywordsError, 'any');
+    const tagQuery = filterTags.value.split(',').map(Annotations.normalizeTag).filter(Boolean);
+    const connectedFrom = parseDateInput(filterConnectedFrom.value);
+    const connectedTo = parseDateInput(filterConnectedTo.value, true);
+    const hasDateRange = connectedFrom !== null || connectedTo !== null;
+
+    const seniority = filterSeniority.value;
+    const minSpamScore = parseInt(filterSuspicious.value, 10) || 0;
+    const matchMode = filterMatchMode.value;
+
+    const hasFilters = jobFunction || titleQuery.ast || keywordQuery.ast || seniority || minSpamScore || tagQuery.length > 0 || hasDateRange || listFilter;
+
+    if (titleQuery.error || keywordQuery.error) {
+      // Never show (and risk selecting) a list built from a half-typed query
+      filteredConnections = [];
+    } else if (!hasFilters) {
       // No filters: show all connections
       filteredConnections = [...allConnections];
     } else {
       // Filter connections
       const matched = allConnections.filter(conn => {
-        const headline = (conn.headline || '').toLowerCase();
-        const name = (conn.name || '').toLowerCase();
-        const searchText = `${name} ${headline}`;
+        if (listFilter && !listFilter.urns.has(conn.connectionUrn)) {
+          return false;
+        }
+
+        if (jobFunction && !Taxonomy.matches(conn.headline, jobFunction)) {
+          return false;
+        }
+
+        if (seniority && (conn.seniority || 'none') !== seniority) {
+          return false;
+        }
 
-        let titleMatch = true;
-        let keywordMatch = true;
+        if (minSpamScore && spamOf(conn).score < minSpamScore) {
+          return false;
+        }
 
-        if (titleQuery) {
-          titleMatch = headline.includes(titleQuery);
+        if (tagQuery.length > 0) {
+          // ANY listed tag must be present (OR logic)
+          const tags = Annotations.getTags(conn, annotations);
+          if (!tagQuery.some(tag => tags.includes(tag))) return false;
         }
 
-        if (keywords.length > 0) {
-          // ANY keyword must match (OR logic)
-          keywordMatch = keywords.some(kw => searchText.includes(kw));
+        if (hasDateRange) {
+          // Connections without a known date never match a date range
+          if (!conn.connectedAt) return false;
+          if (connectedFrom !== null && conn.connectedAt < connectedFrom) return false;
+          if (connectedTo !== null && conn.connectedAt > connectedTo) return false;
         }
 
-        return titleMatch && keywordMatch;
+        return Query.evaluate(titleQuery.ast, conn, resolveQueryField, matchMode)
+          && Query.evaluate(keywordQuery.ast, conn, resolveQueryField, matchMode);
       });
 
       if (filterMode === 'exclude') {
@@ -136,23 +508,202 @@
         filteredConnections = matched;
       } else {
         // Include mode: show NON-matches (user keeps these, removes the rest)
-        filteredConnections = allConnections.filter(c => !matched.includes(c));
+        const matchedSet = new Set(matched);
+        filteredConnections = allConnections.filter(c => !matchedSet.has(c));
       }
     }
+    filteredConnections = ListOrder.sort(filteredConnections, sortBy);
 
     filterMatchCount.textContent = filteredConnections.length;
     filterTotalCount.textContent = allConnections.length;
 
+    if (yearHistogram.style.display !== 'none') renderYearHistogram();
+    if (facetsSection.open) renderFacets();
     renderConnectionList();
     updateSelectionUI();
   }
 
+  /**
+   * Restrict filter matches to a fixed set of connections (e.g. an imported list).
+   * @param {{label: string, urns: Set<string>}|null} filter
+   */
+  function setListFilter(filter) {
+    listFilter = filter;
+    if (listFilter) {
+      listFilterLabel.textContent = `${listFilter.label} (${listFilter.urns.size})`;
+      listFilterRow.style.display = 'flex';
+    } else {
+      listFilterRow.style.display = 'none';
+    }
+    applyFilters();
+  }
+
+  /**
+   * Bar chart of connections per year across the whole list. Years inside the
+   * active date range are highlighted; clicking a year filters to it.
+   */
+  function renderYearHistogram() {
+    const counts = new Map();
+    let unknown = 0;
+    for (const conn of allConnections) {
+      if (!conn.connectedAt) {
+        unknown++;
+        continue;
+      }
+      const year = new Date(conn.connectedAt).getFullYear();
+      counts.set(year, (counts.get(year) || 0) + 1);
+    }
+
+    if (counts.size === 0) {
+      yearHistogram.innerHTML = '<div class="histogram__empty">No connection dates available.</div>';
+      return;
+    }
+
+    const from = parseDateInput(filterConnectedFrom.value);
+    const to = parseDateInput(filterConnectedTo.value, true);
+    const max = Math.max(...counts.values());
+    const years = [...counts.keys()].sort((a, b) => a - b);
+
+    yearHistogram.innerHTML = years.map(year => {
+      const count = counts.get(year);
+      const inRange = (from !== null || to !== null)
+        && (from === null || new Date(year + 1, 0, 1).getTime() > from)
+        && (to === null || new Date(year, 0, 1).getTime() <= to);
+      return `
+        <button class="histogram__row${inRange ? ' histogram__row--active' : ''}" data-year="${year}" title="Show connections made in ${year}">
+          <span class="histogram__label">${year}</span>
+          <span class="histogram__bar"><span class="histogram__fill" style="width:${Math.max(1, Math.round(count / max * 100))}%"></span></span>
+          <span class="histogram__count">${count}</span>
+        </button>`;
+    }).join('') + (unknown > 0 ? `<div class="histogram__empty">${unknown} with no known date</div>` : '');
+  }
+
+  // ---- Facets ----
+
+  function renderFacetGroup(title, items) {
+    if (items.length === 0) return '';
+    return `<div class="facets__group"><div class="facets__title">${title}</div>${items.map(item =>
+      `<button class="facet" data-facet="${item.type}" data-value="${escapeHtml(String(item.value))}" title="${escapeHtml(item.hint)}">` +
+      `${escapeHtml(String(item.label ?? item.value))} <span class="facet__count">${item.count}</span></button>`
+    ).join('')}</div>`;
+  }
+
+  /**
+   * Facet counts for the connections currently shown; clicking one adds it as a filter.
+   */
+  function renderFacets() {
+    if (filteredConnections.length === 0) {
+      facetsBody.innerHTML = '<div class="histogram__empty">No connections in this list.</div>';
+      return;
+    }
+    const facets = Facets.compute(filteredConnections);
+    const missing = [
+      { type: 'missing', value: 'headline', label: 'No headline', count: facets.noHeadline, hint: 'Add -has:headline to Keywords' },
+      { type: 'missing', value: 'photo', label: 'No photo', count: facets.noPhoto, hint: 'Add -has:photo to Keywords' },
+    ].filter(item => item.count > 0);
+
+    facetsBody.innerHTML =
+      renderFacetGroup('Companies', facets.companies.map(f => ({ ...f, type: 'company', hint: 'Add to Keywords as company:' }))) +
+      renderFacetGroup('Headline terms', facets.terms.map(f => ({ ...f, type: 'term', hint: 'Add to Keywords' }))) +
+      renderFacetGroup('Connected', facets.years.map(f => ({ ...f, type: 'year', hint: 'Set the Connected range to this year' }))) +
+      renderFacetGroup('Missing', missing);
+  }
+
+  /**
+   * AND a clause onto the Keywords query, bracketing an existing OR query so
+   * the new clause applies to all of it.
+   */
+  function addKeywordClause(clause) {
+    const current = filterKeywords.value.trim();
+    let wrapped = current;
+    try {
+      if (Query.parse(current)?.type === 'or') wrapped = `(${current})`;
+    } catch {
+      // Leave an invalid query as typed; its error stays visible
+    }
+    filterKeywords.value = wrapped ? `${wrapped} ${clause}` : clause;
+    applyFilters();
+  }
+
+  facetsSection.addEventListener('toggle', () => {
+    if (facetsSection.open) renderFacets();
+  });
+
+  facetsBody.addEventListener('click', (e) => {
+    const facet = e.target.closest('.facet');
+    if (!facet) return;
+    const value = facet.dataset.value;
+
+    switch (facet.dataset.facet) {
+      case 'company':
+        addKeywordClause(`company:"${value.replace(/"/g, '')}"`);
+        break;
+      case 'term':
+        addKeywordClause(value);
+        break;
+      case 'year':
+        setConnectedRange(`${value}-01-01`, `${value}-12-31`);
+        break;
+      case 'missing':
+        addKeywordClause(`-has:${value}`);
+        break;
+    }
+  });
+
   // ---- Rendering ----
 
   // Virtual scroll state
   const CARD_HEIGHT = 61; // Approximate height of each card in px
-  const RENDER_BUFFER = 20; // Extra cards to render above/below viewport
+  const GROUP_HEADER_HEIGHT = 30; // Fixed height of a group header in px (see .group-header)
+  const RENDER_BUFFER = 20; // Extra rows to render above/below viewport
   let lastRenderRange = { start: -1, end: -1 };
+  let listRows = [];          // Displayed rows: { conn } for cards, { group } for group headers
+  let rowOffsets = [0];       // Top of each row in px; the extra last entry is the total height
+  let currentGroups = new Map(); // Group id -> group, for header clicks
+
+  /**
+   * Flatten filteredConnections into display rows: group headers, then the
+   * cards of each expanded group.
+   */
+  function buildListRows() {
+    const groups = ListOrder.group(filteredConnections, groupBy);
+    currentGroups = new Map((groups || []).map(g => [g.id, g]));
+
+    if (!groups) {
+      listRows = filteredConnections.map(conn => ({ conn }));
+    } else {
+      listRows = [];
+      for (const group of groups) {
+        listRows.push({ group });
+        if (collapsedGroups.has(group.id)) continue;
+        for (const conn of group.connections) listRows.push({ conn });
+      }
+    }
+
+    rowOffsets = new Array(listRows.length + 1);
+    rowOffsets[0] = 0;
+    for (let i = 0; i < listRows.length; i++) {
+      rowOffsets[i + 1] = rowOffsets[i] + (listRows[i].group ? GROUP_HEADER_HEIGHT : CARD_HEIGHT);
+    }
+  }
+
+  /**
+   * Index of the row at a vertical offset (binary search over rowOffsets).
+   */
+  function rowIndexAt(y) {
+    let lo = 0;
+    let hi = listRows.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (rowOffsets[mid] <= y) lo = mid;
+      else hi = mid - 1;
+    }
+    return Math.max(0, lo);
+  }
+
+  function renderRow(row, index) {
+    return row.group ? renderGroupHeader(row.group) : renderCard(row.conn, index);
+  }
 
   /**
    * Render the connection list with basic virtual scrolling for performance.
@@ -166,23 +717,23 @@
 
     emptyState.style.display = 'none';
     connectionList.style.display = 'block';
+    buildListRows();
 
     // For lists under 500, just render all (fast enough)
-    if (filteredConnections.length <= 500) {
-      connectionList.innerHTML = filteredConnections
-        .map((conn, idx) => renderCard(conn, idx))
-        .join('');
-      lastRenderRange = { start: 0, end: filteredConnections.length };
+    if (listRows.length <= 500) {
+      connectionList.innerHTML = listRows.map(renderRow).join('');
+      lastRenderRange = { start: 0, end: listRows.length };
       attachCardListeners();
       return;
     }
 
     // Virtual scrolling for large lists
-    const totalHeight = filteredConnections.length * CARD_HEIGHT;
+    const totalHeight = rowOffsets[listRows.length];
     connectionList.style.height = `${Math.min(totalHeight, window.innerHeight - 250)}px`;
     connectionList.style.position = 'relative';
 
-    // Initial render of visible area
+    // Initial render of visible area (force it: card contents may have changed even if the range hasn't)
+    lastRenderRange = { start: -1, end: -1 };
     renderVisibleCards();
 
     // Attach scroll handler
@@ -193,48 +744,96 @@
     const scrollTop = connectionList.scrollTop;
     const viewportHeight = connectionList.clientHeight;
 
-    const startIdx = Math.max(0, Math.floor(scrollTop / CARD_HEIGHT) - RENDER_BUFFER);
-    const endIdx = Math.min(
-      filteredConnections.length,
-      Math.ceil((scrollTop + viewportHeight) / CARD_HEIGHT) + RENDER_BUFFER
-    );
+    const startIdx = Math.max(0, rowIndexAt(scrollTop) - RENDER_BUFFER);
+    const endIdx = Math.min(listRows.length, rowIndexAt(scrollTop + viewportHeight) + 1 + RENDER_BUFFER);
 
     // Skip if range hasn't changed
     if (startIdx === lastRenderRange.start && endIdx === lastRenderRange.end) return;
     lastRenderRange = { start: startIdx, end: endIdx };
 
-    const totalHeight = filteredConnections.length * CARD_HEIGHT;
-    const topPadding = startIdx * CARD_HEIGHT;
+    const totalHeight = rowOffsets[listRows.length];
 
-    let html = `<div style="height:${topPadding}px"></div>`;
+    let html = `<div style="height:${rowOffsets[startIdx]}px"></div>`;
     for (let i = startIdx; i < endIdx; i++) {
-      html += renderCard(filteredConnections[i], i);
+      html += renderRow(listRows[i], i);
     }
-    html += `<div style="height:${totalHeight - endIdx * CARD_HEIGHT}px"></div>`;
+    html += `<div style="height:${totalHeight - rowOffsets[endIdx]}px"></div>`;
 
     connectionList.innerHTML = html;
     attachCardListeners();
   }
 
+  /**
+   * Checkbox state for a group header: all, some or none of its connections selected.
+   */
+  function groupSelectionState(group) {
+    const count = group.connections.filter(c => selectedUrns.has(c.connectionUrn)).length;
+    return count === 0 ? 'none' : count === group.connections.length ? 'all' : 'some';
+  }
+
+  function renderGroupHeader(group) {
+    const collapsed = collapsedGroups.has(group.id);
+    const state = groupSelectionState(group); // 'some' is shown by updateGroupHeaders
+    return `
+      <div class="group-header" data-group="${escapeHtml(group.id)}" title="${collapsed ? 'Expand' : 'Collapse'}">
+        <input type="checkbox" class="group-header__select" ${state === 'all' ? 'checked' : ''} title="Select everyone in this group">
+        <span class="group-header__toggle">${collapsed ? '&#9656;' : '&#9662;'}</span>
+        <span class="group-header__label">${escapeHtml(group.label)}</span>
+        <span class="group-header__count">${group.connections.length}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Sync the rendered group header checkboxes with the current selection.
+   * Partial selection can only be shown through the indeterminate property.
+   */
+  function updateGroupHeaders() {
+    for (const header of connectionList.querySelectorAll('.group-header')) {
+      const group = currentGroups.get(header.dataset.group);
+      if (!group) continue;
+      const state = groupSelectionState(group);
+      const checkbox = header.querySelector('.group-header__select');
+      checkbox.checked = state === 'all';
+      checkbox.indeterminate = state === 'some';
+    }
+  }
+
   /**
    * Render a single connection card HTML string.
    */
   function renderCard(conn, index) {
     const isSelected = selectedUrns.has(conn.connectionUrn);
+    const isProtected = Protection.isProtected(conn, protectedList);
+    const ruleReason = protectionRules ? Protection.matchRules(conn, protectionRules) : null;
     // Only use profile picture if it's a valid absolute URL; otherwise use default
     const avatarSrc = (conn.profilePicture && conn.profilePicture.startsWith('http'))
       ? conn.profilePicture
       : defaultAvatar();
+    const connectedDate = conn.connectedAt ? new Date(conn.connectedAt) : null;
+    const spam = spamOf(conn);
     const selectedClass = isSelected ? ' connection-card--selected' : '';
+    const protectedClass = isProtected || ruleReason ? ' connection-card--protected' : '';
 
     return `
-      <div class="connection-card${selectedClass}" data-urn="${conn.connectionUrn}" data-index="${index}">
+      <div class="connection-card${selectedClass}${protectedClass}" data-urn="${conn.connectionUrn}" data-index="${index}">
         <input type="checkbox" class="connection-card__checkbox" ${isSelected ? 'checked' : ''} tabindex="-1">
         <img class="connection-card__avatar" src="${avatarSrc}" alt="" loading="lazy">
         <div class="connection-card__info">
-          <div class="connection-card__name">${escapeHtml(conn.name)}</div>
-          <div class="connection-card__headline">${escapeHtml(conn.headline || 'No headline')}</div>
+          <div class="connection-card__name">${escapeHtml(conn.name)}${Annotations.getTags(conn, annotations).map(tag =>
+            `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}</div>
+          <div class="connection-card__headline" title="${escapeHtml(conn.headline || '')}">${conn.company
+            ? `${escapeHtml(conn.jobTitle)} <span class="connection-card__company">${escapeHtml(conn.company)}</span>`
+            : escapeHtml(conn.headline || 'No headline')}</div>
         </div>
+        ${connectedDate ? `<span class="connection-card__date" title="Connected ${connectedDate.toLocaleDateString()}">${
+          connectedDate.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}</span>` : ''}
+        ${spam.score >= SpamScorer.FLAG_THRESHOLD ? `<span class="connection-card__spam" title="Suspicious profile (score ${spam.score}): ${
+          escapeHtml(spam.reasons.join('; '))}">&#9888; ${spam.score}</span>` : ''}
+        <button class="connection-card__details" title="Details and notes">i</button>
+        ${ruleReason ? `<span class="connection-card__shield" title="Protected by rule: ${escapeHtml(ruleReason)}">&#9960;</span>` : ''}
+        <button class="connection-card__star${isProtected ? ' connection-card__star--active' : ''}"
+          title="${isProtected ? 'Protected - click to allow removal' : 'Protect from removal'}">${isProtected ? '&#9733;' : '&#9734;'}</button>
       </div>
     `;
   }
@@ -242,7 +841,8 @@
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; escape them so values are safe inside attributes too
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   /**
@@ -250,6 +850,7 @@
    */
   function attachCardListeners() {
     // Using event delegation on the connection list container instead
+    updateGroupHeaders();
   }
 
   // Handle broken avatar images via event delegation (CSP-safe, no inline onerror)
@@ -264,23 +865,91 @@
 
   // Use event delegation for card clicks
   connectionList.addEventListener('click', (e) => {
+    const header = e.target.closest('.group-header');
+    if (header) {
+      handleGroupHeaderClick(header, e.target.classList.contains('group-header__select'));
+      return;
+    }
+
     const card = e.target.closest('.connection-card');
     if (!card) return;
 
     const urn = card.dataset.urn;
+
+    // The star toggles protection without touching selection
+    if (e.target.closest('.connection-card__star')) {
+      const conn = allConnections.find(c => c.connectionUrn === urn);
+      if (conn) toggleProtection(conn);
+      return;
+    }
+
+    if (e.target.closest('.connection-card__details')) {
+      const conn = allConnections.find(c => c.connectionUrn === urn);
+      if (conn) openDetailDrawer(conn);
+      return;
+    }
+
     if (selectedUrns.has(urn)) {
       selectedUrns.delete(urn);
+      selectionReasons.delete(urn);
       card.classList.remove('connection-card--selected');
       card.querySelector('.connection-card__checkbox').checked = false;
     } else {
       selectedUrns.add(urn);
+      selectionReasons.set(urn, describeFilters());
       card.classList.add('connection-card--selected');
       card.querySelector('.connection-card__checkbox').checked = true;
     }
 
+    updateGroupHeaders();
     updateSelectionUI();
   });
 
+  /**
+   * Group header click: the checkbox selects or deselects the whole group,
+   * anywhere else collapses or expands it.
+   */
+  function handleGroupHeaderClick(header, onCheckbox) {
+    const group = currentGroups.get(header.dataset.group);
+    if (!group) return;
+
+    if (onCheckbox) {
+      if (groupSelectionState(group) === 'all') {
+        for (const conn of group.connections) {
+          selectedUrns.delete(conn.connectionUrn);
+          selectionReasons.delete(conn.connectionUrn);
+        }
+      } else {
+        const reason = `${describeFilters()}; group: ${group.label}`;
+        for (const conn of group.connections) {
+          if (!selectedUrns.has(conn.connectionUrn)) selectionReasons.set(conn.connectionUrn, reason);
+          selectedUrns.add(conn.connectionUrn);
+        }
+      }
+      updateSelectionUI();
+    } else if (collapsedGroups.has(group.id)) {
+      collapsedGroups.delete(group.id);
+    } else {
+      collapsedGroups.add(group.id);
+    }
+    renderConnectionList();
+  }
+
+  /**
+   * Star or unstar a connection and re-render so the card reflects it.
+   */
+  async function toggleProtection(conn) {
+    try {
+      protectedList = Protection.isProtected(conn, protectedList)
+        ? await Protection.remove([conn])
+        : await Protection.add([conn]);
+      renderConnectionList();
+    } catch (err) {
+      Logger.error(TAG, 'Failed to update protected list', { error: err.message });
+      alert('Failed to update protected list: ' + err.message);
+    }
+  }
+
   /**
    * Update selection count and action bar visibility.
    */
@@ -288,18 +957,41 @@
     const count = selectedUrns.size;
     selectedCount.textContent = count;
     previewCount.textContent = count;
+    btnTagSelected.disabled = count === 0;
+    btnUntagSelected.disabled = count === 0;
 
     actionBar.style.display = count > 0 ? 'block' : 'none';
     btnPreview.disabled = count === 0;
   }
 
+  // Sorting re-runs the filters (they produce the sorted list); grouping only re-renders
+  listSort.addEventListener('change', () => {
+    sortBy = listSort.value;
+    applyFilters();
+  });
+
+  listGroup.addEventListener('change', () => {
+    groupBy = listGroup.value;
+    connectionList.scrollTop = 0;
+    renderConnectionList();
+  });
+
   // ---- Event Handlers ----
 
-  // Fetch connections
-  btnFetch.addEventListener('click', async () => {
+  /**
+   * Run a full fetch or incremental refresh in the background and show the result.
+   * @param {string} action - 'fetchAllConnections' or 'refreshConnections'
+   */
+  async function runFetch(action) {
     btnFetch.disabled = true;
+    btnFullRefresh.disabled = true;
     btnFetch.textContent = 'Fetching...';
     authWarning.style.display = 'none';
+    fetchLabel.textContent = 'Fetching connections';
+    fetchCount.textContent = '0';
+    fetchTotal.textContent = '?';
+    fetchBar.style.width = '0%';
+    fetchStatus.textContent = '';
     fetchProgressSection.style.display = 'block';
 
     try {
@@ -309,19 +1001,20 @@
         authWarning.style.display = 'block';
         fetchProgressSection.style.display = 'none';
         btnFetch.disabled = false;
-        btnFetch.textContent = 'Fetch Connections';
+        btnFullRefresh.disabled = false;
+        btnFetch.textContent = allConnections.length > 0 ? `Refresh (${allConnections.length})` : 'Fetch Connections';
         return;
       }
 
-      // Fetch all connections
-      const result = await sendToBackground('fetchAllConnections');
+      const result = await sendToBackground(action);
       allConnections = result.connections || [];
+      lastFetchedAt = result.fetchedAt || Date.now();
+      cacheLastChange.textContent = describeRefresh(result);
 
       // Show filters and list
       fetchProgressSection.style.display = 'none';
-      filtersSection.style.display = 'block';
-      selectionSection.style.display = 'flex';
-      connectionList.style.display = 'block';
+      showConnectionsView();
+      updateCacheInfo();
 
       if (allConnections.length === 0) {
         authWarning.textContent =
@@ -331,8 +1024,8 @@
         authWarning.style.display = 'block';
       }
 
-      btnFetch.textContent = `Refresh (${allConnections.length})`;
       btnFetch.disabled = false;
+      btnFullRefresh.disabled = false;
 
       applyFilters();
     } catch (err) {
@@ -340,45 +1033,54 @@
       authWarning.textContent = `Error: ${err.message}. Open DevTools (F12) → Console for [LCM] diagnostic logs.`;
       authWarning.style.display = 'block';
       btnFetch.disabled = false;
-      btnFetch.textContent = 'Fetch Connections';
+      btnFullRefresh.disabled = false;
+      btnFetch.textContent = allConnections.length > 0 ? `Refresh (${allConnections.length})` : 'Fetch Connections';
     }
+  }
+
+  /**
+   * Summarize what a refresh changed, e.g. "(+3 new, 1 gone)".
+   */
+  function describeRefresh(result) {
+    if (result.added === undefined) return '';
+    const parts = [`+${result.added} new`];
+    if (result.removed > 0) parts.push(`${result.removed} gone`);
+    if (result.removalsChecked === false) parts.push('removals not checked');
+    return `(${parts.join(', ')})`;
+  }
+
+  // Fetch connections: incremental when we already have a cached list
+  btnFetch.addEventListener('click', () => {
+    runFetch(allConnections.length > 0 ? 'refreshConnections' : 'fetchAllConnections');
+  });
+
+  btnFullRefresh.addEventListener('click', () => {
+    runFetch('fetchAllConnections');
   });
 
   // Listen for fetch progress updates from background/content script
   chrome.runtime.onMessage.addListener((message) => {
     if (message.action === 'fetchProgress') {
-      const { fetched, total } = message.payload;
+      const { fetched, total, phase } = message.payload;
+      fetchLabel.textContent = phase === 'incremental' ? 'New connections found' : 'Fetching connections';
       fetchCount.textContent = fetched;
       fetchTotal.textContent = total > 0 ? total : '...';
       // If total is unknown (0), show an animated indeterminate-style bar
       fetchBar.style.width = total > 0 ? `${(fetched / total) * 100}%` : '60%';
+      fetchStatus.textContent = '';
     }
 
-    if (message.action === 'removeProgress') {
-      const { completed, total, currentItem, status } = message.payload;
-      removeCompleted.textContent = completed;
-      removeTotal.textContent = total;
-      removeBar.style.width = total > 0 ? `${(completed / total) * 100}%` : '0%';
-
-      if (currentItem) {
-        removeCurrent.textContent = `Removing: ${currentItem}`;
-      }
+    if (message.action === 'fetchThrottled') {
+      fetchStatus.textContent = describeThrottle(message.payload);
+    }
 
-      // Update status text
-      removeStatus.className = 'removal-status';
-      switch (status) {
-        case 'rate_limited':
-          removeStatus.textContent = 'Rate limited - waiting 60s...';
-          removeStatus.classList.add('removal-status--rate-limited');
-          break;
-        case 'batch_pause':
-          removeStatus.textContent = 'Batch pause...';
-          break;
-        case 'failed':
-          removeStatus.textContent = `Failed to remove ${currentItem}`;
-          break;
-        default:
-          removeStatus.textContent = '';
+    if (message.action === 'removeProgress') {
+      const { status, result } = message.payload;
+      if (status === 'done' || status === 'cancelled') {
+        showRemovalResult(result);
+      } else {
+        if (removalProgress.style.display === 'none') showRemovalView(message.payload.dryRun);
+        updateRemovalProgress(message.payload);
       }
     }
   });
@@ -387,103 +1089,713 @@
   const debouncedFilter = debounce(applyFilters, 200);
   filterTitle.addEventListener('input', debouncedFilter);
   filterKeywords.addEventListener('input', debouncedFilter);
-
-  // Filter mode toggle
-  modeExclude.addEventListener('click', () => {
-    filterMode = 'exclude';
-    modeExclude.classList.add('toggle-btn--active');
-    modeInclude.classList.remove('toggle-btn--active');
+  filterTags.addEventListener('input', debouncedFilter);
+  filterSeniority.addEventListener('change', applyFilters);
+  filterSuspicious.addEventListener('change', applyFilters);
+  filterFunction.addEventListener('change', applyFilters);
+  filterMatchMode.addEventListener('change', applyFilters);
+  filterConnectedFrom.addEventListener('change', () => {
+    filterConnectedPreset.value = '';
+    applyFilters();
+  });
+  filterConnectedTo.addEventListener('change', () => {
+    filterConnectedPreset.value = '';
     applyFilters();
   });
 
-  modeInclude.addEventListener('click', () => {
-    filterMode = 'include';
-    modeInclude.classList.add('toggle-btn--active');
-    modeExclude.classList.remove('toggle-btn--active');
+  // "Older than N years": everything connected up to N years before today
+  filterConnectedPreset.addEventListener('change', () => {
+    const years = parseInt(filterConnectedPreset.value, 10);
+    if (!years) return;
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - years);
+    filterConnectedFrom.value = '';
+    filterConnectedTo.value = toDateInputValue(cutoff);
     applyFilters();
   });
 
+  btnToggleHistogram.addEventListener('click', () => {
+    const show = yearHistogram.style.display === 'none';
+    yearHistogram.style.display = show ? 'block' : 'none';
+    btnToggleHistogram.textContent = show ? 'Hide connections per year' : 'Show connections per year';
+    if (show) renderYearHistogram();
+  });
+
+  yearHistogram.addEventListener('click', (e) => {
+    const row = e.target.closest('.histogram__row');
+    if (!row) return;
+    const year = row.dataset.year;
+    setConnectedRange(`${year}-01-01`, `${year}-12-31`);
+  });
+
+  btnClearListFilter.addEventListener('click', () => setListFilter(null));
+
+  // Filter mode toggle
+  function setFilterMode(mode) {
+    filterMode = mode;
+    modeExclude.classList.toggle('toggle-btn--active', mode === 'exclude');
+    modeInclude.classList.toggle('toggle-btn--active', mode === 'include');
+    applyFilters();
+  }
+
+  modeExclude.addEventListener('click', () => setFilterMode('exclude'));
+  modeInclude.addEventListener('click', () => setFilterMode('include'));
+
   // Select all / Deselect all
   btnSelectAll.addEventListener('click', () => {
-    filteredConnections.forEach(c => selectedUrns.add(c.connectionUrn));
+    const reason = describeFilters();
+    filteredConnections.forEach(c => {
+      if (!selectedUrns.has(c.connectionUrn)) selectionReasons.set(c.connectionUrn, reason);
+      selectedUrns.add(c.connectionUrn);
+    });
     renderConnectionList();
     updateSelectionUI();
   });
 
   btnDeselectAll.addEventListener('click', () => {
     selectedUrns.clear();
+    selectionReasons.clear();
     renderConnectionList();
     updateSelectionUI();
   });
 
-  // Preview removal
-  btnPreview.addEventListener('click', () => {
-    const selected = getSelectedConnections();
-    confirmCount.textContent = selected.length;
+  // ---- Network Segments ----
 
-    // Show up to 20 names in the confirmation list
-    const sampleNames = selected.slice(0, 20).map(c =>
-      `${escapeHtml(c.name)} - ${escapeHtml(c.headline || 'No headline')}`
-    );
-    let listHtml = sampleNames.join('<br>');
-    if (selected.length > 20) {
-      listHtml += `<br><em>...and ${selected.length - 20} more</em>`;
-    }
+  const SEGMENT_SAMPLE_LIMIT = 5;
+
+  const btnSegments = $('btn-segments');
+  const segmentsViewer = $('segments-viewer');
+  const segmentsCount = $('segments-count');
+  const segmentsStatus = $('segments-status');
+  const segmentsList = $('segments-list');
+  const btnAnalyze = $('btn-analyze');
+  const btnCloseSegments = $('btn-close-segments');
+
+  let segments = [];
+
+  function renderSegments(result) {
+    if (result.segments.length === 0) {
+      segmentsList.innerHTML = '<div class="panel-view__empty">Not enough headlines to find segments.</div>';
+      return;
+    }
+    segmentsList.innerHTML = result.segments.map(segment => `
+      <div class="segment" data-id="${segment.id}">
+        <div class="segment__title">
+          <span class="segment__size">~${segment.connections.length}</span> ${escapeHtml(segment.label)}
+        </div>
+        <ul class="segment__samples">${segment.samples.slice(0, SEGMENT_SAMPLE_LIMIT).map(conn =>
+          `<li><strong>${escapeHtml(conn.name)}</strong> &middot; ${escapeHtml(conn.headline || '')}</li>`).join('')}
+        </ul>
+        <div class="panel-view__controls">
+          <button class="link-btn" data-segment-action="filter">Use as Filter</button>
+          <button class="link-btn" data-segment-action="select">Select All</button>
+        </div>
+      </div>`
+    ).join('') + (result.unclustered > 0
+      ? `<p class="panel-view__hint">${result.unclustered} connections have no headline or too little in common to place.</p>`
+      : '');
+  }
+
+  btnSegments.addEventListener('click', () => {
+    segmentsViewer.style.display = 'flex';
+    if (segments.length === 0) btnAnalyze.click();
+  });
+
+  btnCloseSegments.addEventListener('click', () => {
+    segmentsViewer.style.display = 'none';
+  });
+
+  btnAnalyze.addEventListener('click', async () => {
+    if (allConnections.length === 0) {
+      segmentsList.innerHTML = '<div class="panel-view__empty">Fetch your connections first.</div>';
+      return;
+    }
+    btnAnalyze.disabled = true;
+    segmentsStatus.textContent = `Analyzing ${allConnections.length} connections...`;
+    // Let the status paint before the (synchronous) clustering runs
+    await new Promise(resolve => setTimeout(resolve, 0));
+    try {
+      const started = Date.now();
+      const result = Clustering.cluster(allConnections, { k: parseInt(segmentsCount.value, 10) || undefined });
+      segments = result.segments;
+      renderSegments(result);
+      segmentsStatus.textContent = `${segments.length} segments`;
+      Logger.info(TAG, 'Network analyzed', { segments: segments.length, ms: Date.now() - started });
+    } catch (err) {
+      segmentsStatus.textContent = '';
+      Logger.error(TAG, 'Network analysis failed', { error: err.message });
+      alert('Failed to analyze network: ' + err.message);
+    } finally {
+      btnAnalyze.disabled = false;
+    }
+  });
+
+  segmentsList.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-segment-action]');
+    if (!btn) return;
+    const segment = segments.find(s => s.id === btn.closest('.segment').dataset.id);
+    if (!segment) return;
+    const urns = segment.connections.map(c => c.connectionUrn);
+
+    if (btn.dataset.segmentAction === 'filter') {
+      segmentsViewer.style.display = 'none';
+      setListFilter({ label: `Segment: ${segment.label}`, urns: new Set(urns) });
+    } else {
+      const reason = `segment: "${segment.label}"`;
+      for (const urn of urns) {
+        if (!selectedUrns.has(urn)) selectionReasons.set(urn, reason);
+        selectedUrns.add(urn);
+      }
+      renderConnectionList();
+      updateSelectionUI();
+      segmentsStatus.textContent = `Selected ${urns.length} from "${segment.label}"`;
+    }
+  });
+
+  // ---- Filter Presets ----
+
+  const presetSelect = $('preset-select');
+  const btnSavePreset = $('btn-save-preset');
+  const btnManagePresets = $('btn-manage-presets');
+  const presetsViewer = $('presets-viewer');
+  const presetsList = $('presets-list');
+  const presetsStatus = $('presets-status');
+  const presetsFile = $('presets-file');
+  const btnClosePresets = $('btn-close-presets');
+  const btnExportPresets = $('btn-export-presets');
+  const btnImportPresets = $('btn-import-presets');
+
+  let filterPresets = [];
+
+  function renderPresetOptions() {
+    const current = presetSelect.value;
+    presetSelect.innerHTML = '<option value="">Saved filters&hellip;</option>' + filterPresets
+      .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+      .join('');
+    presetSelect.value = filterPresets.some(p => p.id === current) ? current : '';
+    btnManagePresets.disabled = filterPresets.length === 0;
+  }
+
+  function renderPresetsList() {
+    if (filterPresets.length === 0) {
+      presetsList.innerHTML = '<div class="panel-view__empty">No saved filters. Set up filters and click Save.</div>';
+      return;
+    }
+    presetsList.innerHTML = filterPresets.map(preset => {
+      const parts = describeFilterState(preset.state);
+      parts.push(`mode: ${preset.state.filterMode || 'exclude'}`);
+      return `
+        <div class="preset-entry" data-id="${escapeHtml(preset.id)}">
+          <input type="text" class="filter-input preset-entry__name" value="${escapeHtml(preset.name)}" title="Rename">
+          <div class="preset-entry__summary">${escapeHtml(parts.join('; '))}</div>
+          <div class="preset-entry__meta">Updated ${formatRelativeTime(preset.updatedAt)}</div>
+          <div class="panel-view__controls">
+            <button class="link-btn" data-preset-action="apply">Apply</button>
+            <button class="link-btn" data-preset-action="update" title="Replace with the current filters">Update with current filters</button>
+            <button class="link-btn link-btn--danger" data-preset-action="delete">Delete</button>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  function setPresets(presets) {
+    filterPresets = presets;
+    renderPresetOptions();
+    if (presetsViewer.style.display !== 'none') renderPresetsList();
+  }
+
+  presetSelect.addEventListener('change', () => {
+    const preset = filterPresets.find(p => p.id === presetSelect.value);
+    if (preset) setFilterState(preset.state);
+  });
+
+  btnSavePreset.addEventListener('click', async () => {
+    const current = filterPresets.find(p => p.id === presetSelect.value);
+    const name = prompt('Save the current filters as:', current ? current.name : '');
+    if (name === null || !name.trim()) return;
+    if (filterPresets.some(p => p.name.toLowerCase() === name.trim().toLowerCase() && p !== current)
+      && !confirm(`Replace the saved filter "${name.trim()}"?`)) {
+      return;
+    }
+    try {
+      setPresets(await FilterPresets.save(name, getFilterState()));
+      presetSelect.value = filterPresets.find(p => p.name.toLowerCase() === name.trim().toLowerCase())?.id || '';
+      Logger.info(TAG, 'Filter preset saved', { name: name.trim() });
+    } catch (err) {
+      alert('Failed to save filters: ' + err.message);
+    }
+  });
+
+  btnManagePresets.addEventListener('click', () => {
+    presetsStatus.textContent = '';
+    renderPresetsList();
+    presetsViewer.style.display = 'flex';
+  });
+
+  btnClosePresets.addEventListener('click', () => {
+    presetsViewer.style.display = 'none';
+  });
+
+  presetsList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-preset-action]');
+    if (!btn) return;
+    const preset = filterPresets.find(p => p.id === btn.closest('.preset-entry').dataset.id);
+    if (!preset) return;
+
+    try {
+      switch (btn.dataset.presetAction) {
+        case 'apply':
+          setFilterState(preset.state);
+          presetSelect.value = preset.id;
+          presetsViewer.style.display = 'none';
+          break;
+        case 'update':
+          setPresets(await FilterPresets.save(preset.name, getFilterState()));
+          presetsStatus.textContent = `Updated "${preset.name}"`;
+          break;
+        case 'delete':
+          if (!confirm(`Delete the saved filter "${preset.name}"?`)) return;
+          setPresets(await FilterPresets.remove(preset.id));
+          presetsStatus.textContent = `Deleted "${preset.name}"`;
+          break;
+      }
+    } catch (err) {
+      alert('Failed to update saved filters: ' + err.message);
+    }
+  });
+
+  // Rename when a name field loses focus after editing
+  presetsList.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('preset-entry__name')) return;
+    const id = e.target.closest('.preset-entry').dataset.id;
+    try {
+      setPresets(await FilterPresets.rename(id, e.target.value));
+      presetsStatus.textContent = 'Renamed';
+    } catch (err) {
+      alert(err.message);
+      renderPresetsList();
+    }
+  });
+
+  btnExportPresets.addEventListener('click', () => {
+    downloadFile(`filter-presets-${fileDateStamp()}.json`, 'application/json', FilterPresets.toJson(filterPresets));
+  });
+
+  btnImportPresets.addEventListener('click', () => presetsFile.click());
+
+  presetsFile.addEventListener('change', async () => {
+    const file = presetsFile.files[0];
+    if (!file) return;
+    presetsFile.value = '';
+    try {
+      const result = await FilterPresets.importJson(await file.text());
+      setPresets(result.presets);
+      presetsStatus.textContent = `Imported ${result.imported} saved filter${result.imported === 1 ? '' : 's'}`;
+    } catch (err) {
+      alert('Failed to import saved filters: ' + err.message);
+    }
+  });
+
+  // ---- Tags ----
+
+  function updateTagSuggestions() {
+    tagSuggestions.innerHTML = Annotations.listTags(annotations)
+      .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+      .join('');
+  }
+
+  async function tagSelected(add) {
+    const tag = tagInput.value.trim();
+    const selected = getSelectedConnections();
+    if (!tag || selected.length === 0) return;
+
+    try {
+      annotations = add
+        ? await Annotations.addTag(selected, tag)
+        : await Annotations.removeTag(selected, tag);
+      updateTagSuggestions();
+      applyFilters();
+      Logger.info(TAG, add ? 'Tagged connections' : 'Untagged connections', { tag, count: selected.length });
+    } catch (err) {
+      alert('Failed to update tags: ' + err.message);
+    }
+  }
+
+  btnTagSelected.addEventListener('click', () => tagSelected(true));
+  btnUntagSelected.addEventListener('click', () => tagSelected(false));
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') tagSelected(true);
+  });
+
+  // ---- Detail Drawer ----
+
+  const detailDrawer = $('detail-drawer');
+  const detailAvatar = $('detail-avatar');
+  const detailName = $('detail-name');
+  const detailProfileLink = $('detail-profile-link');
+  const detailFields = $('detail-fields');
+  const detailNote = $('detail-note');
+  const detailNoteStatus = $('detail-note-status');
+  const btnCloseDetail = $('btn-close-detail');
+
+  let detailConnection = null;
+
+  function openDetailDrawer(conn) {
+    // Save the last edit before the drawer shows someone else
+    saveNote.flush();
+    detailConnection = conn;
+    detailAvatar.src = (conn.profilePicture && conn.profilePicture.startsWith('http'))
+      ? conn.profilePicture
+      : defaultAvatar();
+    detailName.textContent = conn.name || 'Unknown';
+    detailProfileLink.style.display = conn.profileUrl ? 'inline' : 'none';
+    detailProfileLink.href = conn.profileUrl || '#';
+
+    const spam = spamOf(conn);
+    const fields = [
+      ['Headline', conn.headline || 'No headline'],
+      ['Connected', conn.connectedAt ? new Date(conn.connectedAt).toLocaleDateString() : 'Unknown'],
+      ['Tags', Annotations.getTags(conn, annotations).join(', ') || 'None'],
+      ['Suspicious score', spam.score > 0 ? `${spam.score} (${spam.reasons.join('; ')})` : '0'],
+      ['Profile URL', conn.profileUrl || '-'],
+      ['Public identifier', conn.publicIdentifier || '-'],
+      ['Entity URN', conn.entityUrn || '-'],
+      ['Connection URN', conn.connectionUrn || '-'],
+    ];
+    detailFields.innerHTML = fields.map(([label, value]) =>
+      `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`
+    ).join('');
+
+    detailNote.value = Annotations.getNote(conn, annotations);
+    detailNoteStatus.textContent = 'Notes are stored only in this browser.';
+    detailDrawer.style.display = 'flex';
+  }
+
+  async function closeDetailDrawer() {
+    detailDrawer.style.display = 'none';
+    detailConnection = null;
+    await saveNote.flush();
+    applyFilters();
+  }
+
+  const saveNote = debounce(async (conn, note) => {
+    try {
+      annotations = await Annotations.setNote(conn, note);
+      if (detailConnection === conn) detailNoteStatus.textContent = 'Saved';
+    } catch (err) {
+      if (detailConnection === conn) detailNoteStatus.textContent = `Failed to save: ${err.message}`;
+      else alert('Failed to save note: ' + err.message);
+    }
+  }, 400);
+
+  detailNote.addEventListener('input', () => {
+    if (!detailConnection) return;
+    detailNoteStatus.textContent = 'Saving...';
+    saveNote(detailConnection, detailNote.value);
+  });
+
+  btnCloseDetail.addEventListener('click', closeDetailDrawer);
+
+  // Closing the side panel mid-edit shouldn't lose the note either
+  window.addEventListener('pagehide', () => saveNote.flush());
+
+  // Clicking the dimmed backdrop closes the drawer
+  detailDrawer.addEventListener('click', (e) => {
+    if (e.target === detailDrawer) closeDetailDrawer();
+  });
+
+  detailDrawer.addEventListener('error', (e) => {
+    if (e.target === detailAvatar && detailAvatar.src !== defaultAvatar()) {
+      detailAvatar.src = defaultAvatar();
+    }
+  }, true);
+
+  // Preview removal
+  btnPreview.addEventListener('click', () => {
+    const selected = getSelectedConnections();
+    confirmCount.textContent = selected.length;
+
+    // Preview what the worker will skip; it re-checks the same list and rules before each removal
+    let starredCount = 0;
+    let ruleCount = 0;
+    for (const conn of selected) {
+      const reason = Protection.check(conn, protectedList, protectionRules);
+      if (reason === 'starred') starredCount++;
+      else if (reason) ruleCount++;
+    }
+    const notes = [];
+    if (starredCount > 0) notes.push(`${starredCount} starred`);
+    if (ruleCount > 0) notes.push(`${ruleCount} excluded by protection rules`);
+    confirmProtected.textContent = `${notes.join(' and ')} will be skipped.`;
+    confirmProtected.style.display = notes.length > 0 ? 'block' : 'none';
+    showQuotaNote(selected.length - starredCount - ruleCount);
+
+    // Show up to 20 names in the confirmation list
+    const sampleNames = selected.slice(0, 20).map(c =>
+      `${escapeHtml(c.name)} - ${escapeHtml(c.headline || 'No headline')}`
+    );
+    let listHtml = sampleNames.join('<br>');
+    if (selected.length > 20) {
+      listHtml += `<br><em>...and ${selected.length - 20} more</em>`;
+    }
     confirmList.innerHTML = listHtml;
 
     confirmModal.style.display = 'flex';
   });
 
+  /**
+   * Warn in the confirmation modal when the quotas won't fit everyone right now.
+   */
+  async function showQuotaNote(count) {
+    confirmQuota.style.display = 'none';
+    try {
+      const { windows } = await RemovalQuota.check();
+      const tightest = windows
+        .filter(w => w.limit > 0)
+        .sort((a, b) => (a.limit - a.used) - (b.limit - b.used))[0];
+      if (!tightest || count <= tightest.limit - tightest.used) return;
+      const left = Math.max(0, tightest.limit - tightest.used);
+      confirmQuota.textContent = `Your quota allows ${left} more removal${left !== 1 ? 's' : ''} ` +
+        `in the current ${tightest.label}. The job will wait for the rest.`;
+      confirmQuota.style.display = 'block';
+    } catch (err) {
+      Logger.warn(TAG, 'Failed to read removal quota', { error: err.message });
+    }
+  }
+
+  // Dry run: relabel the confirm button; real delays only apply to simulations
+  confirmDryRun.addEventListener('change', () => {
+    const dryRun = confirmDryRun.checked;
+    confirmRealDelays.disabled = !dryRun;
+    btnConfirmRemove.textContent = dryRun ? 'Run Simulation' : 'Remove Connections';
+    btnConfirmRemove.classList.toggle('btn--danger', !dryRun);
+    btnConfirmRemove.classList.toggle('btn--primary', dryRun);
+  });
+
   // Cancel confirmation
   btnConfirmCancel.addEventListener('click', () => {
     confirmModal.style.display = 'none';
   });
 
-  // Confirm and remove
-  btnConfirmRemove.addEventListener('click', async () => {
-    confirmModal.style.display = 'none';
-    const selected = getSelectedConnections();
+  // ---- Removal Job ----
 
-    // Hide main UI, show removal progress
+  /**
+   * Swap the main UI for the removal progress view.
+   * @param {boolean} dryRun - Label the view as a simulation
+   */
+  function showRemovalView(dryRun) {
     filtersSection.style.display = 'none';
     selectionSection.style.display = 'none';
+    tagBar.style.display = 'none';
+    listControls.style.display = 'none';
     connectionList.style.display = 'none';
     actionBar.style.display = 'none';
     emptyState.style.display = 'none';
     btnFetch.style.display = 'none';
 
+    removalDone.style.display = 'none';
     removalProgress.style.display = 'block';
     removeCompleted.textContent = '0';
-    removeTotal.textContent = selected.length;
     removeBar.style.width = '0%';
     removeCurrent.textContent = 'Starting...';
     removeStatus.textContent = '';
-    btnPause.style.display = 'inline-flex';
-    btnResume.style.display = 'none';
+    removeStatus.className = 'removal-status';
+    removeResumed.style.display = 'none';
+    removeSchedule.style.display = 'none';
+    removeTitle.textContent = dryRun ? 'Simulating Removal' : 'Removing Connections';
+    removeLabel.textContent = dryRun ? 'would be removed' : 'removed';
+    setRemovalPaused(false);
+  }
 
-    try {
-      const result = await sendToBackground('bulkRemoveConnections', {
-        connections: selected,
-      });
+  let holdCountdown = null;
 
-      // Show completion
-      removalProgress.style.display = 'none';
-      removalDone.style.display = 'block';
+  /**
+   * Count down to when a held job (quota, schedule or spread) continues.
+   */
+  function startHoldCountdown(hold) {
+    stopHoldCountdown();
+    const resumes = new Date(hold.until).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    const tick = () => {
+      const left = hold.until - Date.now();
+      removeStatus.textContent = `${hold.message}. Resuming ${resumes} ` +
+        `(in ${RemovalQueue.formatOffset(Math.max(0, left))})`;
+      if (left <= 0) stopHoldCountdown();
+    };
+    removeStatus.className = 'removal-status removal-status--rate-limited';
+    removeCurrent.textContent = 'On hold';
+    tick();
+    holdCountdown = setInterval(tick, 1000);
+  }
+
+  function stopHoldCountdown() {
+    clearInterval(holdCountdown);
+    holdCountdown = null;
+  }
+
+  function setRemovalPaused(paused) {
+    stopHoldCountdown();
+    btnPause.style.display = paused ? 'none' : 'inline-flex';
+    btnResume.style.display = paused ? 'inline-flex' : 'none';
+    removeStatus.textContent = paused ? 'Paused' : '';
+    removeStatus.className = paused ? 'removal-status removal-status--paused' : 'removal-status';
+  }
 
-      let summary = `Successfully removed ${result.completed} connection${result.completed !== 1 ? 's' : ''}.`;
-      if (result.failed?.length > 0) {
-        summary += ` ${result.failed.length} failed.`;
+  /**
+   * Show the schedule window and daily share that pace a real job.
+   */
+  async function renderRemovalSchedule({ total, dryRun, spreadDays }) {
+    const parts = [];
+    if (!dryRun) {
+      const schedule = await RemovalSchedule.getSettings().catch(() => null);
+      const next = schedule?.enabled ? RemovalSchedule.nextWindow(schedule) : null;
+      if (next) {
+        const at = ts => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        parts.push(RemovalSchedule.isOpen(schedule)
+          ? `Window open until ${at(next.closes)}`
+          : `Next window ${new Date(next.opens).toLocaleDateString([], { weekday: 'short' })} ${at(next.opens)}-${at(next.closes)}`);
       }
-      if (result.cancelled) {
-        summary += ' (Cancelled by user)';
+      if (spreadDays) parts.push(`Spread over ${spreadDays} days (${Math.ceil(total / spreadDays)} per day)`);
+    }
+    removeSchedule.textContent = parts.join(' · ');
+    removeSchedule.style.display = parts.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Reflect a removeProgress message (or a stored job summary) in the progress view.
+   */
+  function updateRemovalProgress(progress) {
+    const { completed, processed, total, currentItem, status, resumedAt, dryRun, hold } = progress;
+    removeCompleted.textContent = completed;
+    removeTotal.textContent = total;
+    removeBar.style.width = total > 0 ? `${(processed / total) * 100}%` : '0%';
+
+    if (currentItem) {
+      removeCurrent.textContent = `${dryRun ? 'Simulating' : 'Removing'}: ${currentItem}`;
+    }
+
+    if (resumedAt) {
+      removeResumed.textContent = `Job resumed at item ${resumedAt.index} of ${total} (${formatRelativeTime(resumedAt.at)})`;
+      removeResumed.style.display = 'block';
+    }
+
+    // Update status text
+    stopHoldCountdown();
+    removeStatus.className = 'removal-status';
+    switch (status) {
+      case 'held':
+        startHoldCountdown(hold);
+        break;
+      case 'rate_limited':
+        removeStatus.textContent = describeThrottle(progress.throttle);
+        removeStatus.classList.add('removal-status--rate-limited');
+        break;
+      case 'batch_pause':
+        removeStatus.textContent = 'Batch pause...';
+        break;
+      case 'failed':
+        removeStatus.textContent = `Failed to remove ${currentItem}`;
+        break;
+      case 'skipped':
+        removeStatus.textContent = `Skipped protected: ${currentItem}`;
+        break;
+      case 'paused':
+        setRemovalPaused(true);
+        break;
+      case 'resumed':
+        removeCurrent.textContent = 'Resuming...';
+        removeStatus.textContent = '';
+        break;
+      default:
+        removeStatus.textContent = '';
+    }
+    renderRemovalSchedule(progress);
+  }
+
+  /**
+   * Show the results of a finished or cancelled job.
+   */
+  function showRemovalResult(result) {
+    showRemovalView(result.dryRun);
+    stopHoldCountdown();
+    removalProgress.style.display = 'none';
+    removalDone.style.display = 'block';
+    removalDoneTitle.textContent = result.dryRun ? 'Dry Run Complete' : 'Removal Complete';
+
+    const plural = result.completed !== 1 ? 's' : '';
+    let summary = result.dryRun
+      ? `Would remove ${result.completed} connection${plural}.`
+      : `Successfully removed ${result.completed} connection${plural}.`;
+    if (result.failed.length > 0) {
+      summary += ` ${result.failed.length} failed.`;
+    }
+    if (result.skipped.length > 0) {
+      summary += ` ${result.skipped.length} skipped (protected).`;
+    }
+    if (result.cancelled) {
+      summary += ' (Cancelled by user)';
+    }
+    if (result.total - result.processed > 0) {
+      summary += ` ${result.total - result.processed} not processed.`;
+    }
+    if (result.dryRun) {
+      summary += ` A real run would take about ${formatDuration(result.estimatedMs)}`;
+      if (result.heldMs > 0) {
+        summary += `, ${formatDuration(result.heldMs)} of it waiting for quotas, the schedule or the spread`;
       }
-      removalSummary.textContent = summary;
+      summary += '. Nothing was removed.';
+    }
+    removalSummary.textContent = summary;
 
-      // Remove the deleted connections from local state
-      const removedUrns = new Set(selected.map(c => c.connectionUrn));
-      allConnections = allConnections.filter(c => !removedUrns.has(c.connectionUrn));
-      selectedUrns.clear();
+    // Keep the selection after a dry run so the same cleanup can be run for real
+    if (result.dryRun) return;
 
+    // Remove the deleted connections from local state (the worker updates the cache)
+    const removedUrns = new Set(result.removed);
+    allConnections = allConnections.filter(c => !removedUrns.has(c.connectionUrn));
+    selectedUrns.clear();
+    selectionReasons.clear();
+  }
+
+  /**
+   * Reattach to a job that kept running (or finished) while the panel was closed.
+   */
+  async function restoreRemovalJob() {
+    try {
+      const { job } = await sendToBackground('getRemovalJob');
+      if (!job) return;
+      if (job.state === 'done' || job.state === 'cancelled') {
+        showRemovalResult(job);
+        return;
+      }
+      showRemovalView(job.dryRun);
+      updateRemovalProgress({ ...job, currentItem: null, status: job.state });
+      removeCurrent.textContent = `${job.processed} of ${job.total} processed`;
+      if (job.state === 'running' && job.hold && job.hold.until > Date.now()) startHoldCountdown(job.hold);
+    } catch (err) {
+      Logger.warn(TAG, 'Failed to read removal job', { error: err.message });
+    }
+  }
+
+  // Confirm and remove
+  btnConfirmRemove.addEventListener('click', async () => {
+    confirmModal.style.display = 'none';
+    const selected = getSelectedConnections();
+    const dryRun = confirmDryRun.checked;
+
+    showRemovalView(dryRun);
+    removeTotal.textContent = selected.length;
+
+    // The job runs in the background; progress and results arrive as removeProgress messages
+    try {
+      await sendToBackground('bulkRemoveConnections', {
+        connections: selected.map(c => ({
+          ...c,
+          selectedBy: selectionReasons.get(c.connectionUrn) || 'manual selection',
+        })),
+        dryRun,
+        realDelays: dryRun && confirmRealDelays.checked,
+        spreadDays: Number(confirmSpread.value),
+      });
     } catch (err) {
       removalProgress.style.display = 'none';
       removalDone.style.display = 'block';
@@ -494,18 +1806,12 @@
   // Pause / Resume / Cancel removal
   btnPause.addEventListener('click', async () => {
     await sendToBackground('pauseRemoval');
-    btnPause.style.display = 'none';
-    btnResume.style.display = 'inline-flex';
-    removeStatus.textContent = 'Paused';
-    removeStatus.className = 'removal-status removal-status--paused';
+    setRemovalPaused(true);
   });
 
   btnResume.addEventListener('click', async () => {
     await sendToBackground('resumeRemoval');
-    btnResume.style.display = 'none';
-    btnPause.style.display = 'inline-flex';
-    removeStatus.textContent = '';
-    removeStatus.className = 'removal-status';
+    setRemovalPaused(false);
   });
 
   btnCancelRemoval.addEventListener('click', async () => {
@@ -513,15 +1819,22 @@
     removeCurrent.textContent = 'Cancelling...';
   });
 
+  // Per-item report of the last job (what was, or would be, removed and when)
+  btnDownloadReport.addEventListener('click', async () => {
+    const job = await RemovalQueue.get();
+    if (!job) return;
+    const name = job.dryRun ? 'removal-dry-run' : 'removal-report';
+    downloadFile(`${name}-${fileDateStamp()}.csv`, 'text/csv', RemovalQueue.toReportCsv(job));
+  });
+
   // Done button - return to main view
   btnDone.addEventListener('click', () => {
+    sendToBackground('dismissRemovalJob')
+      .catch(err => Logger.warn(TAG, 'Failed to dismiss removal job', { error: err.message }));
     removalDone.style.display = 'none';
     btnFetch.style.display = 'inline-flex';
-    filtersSection.style.display = 'block';
-    selectionSection.style.display = 'flex';
-    connectionList.style.display = 'block';
-
-    btnFetch.textContent = `Refresh (${allConnections.length})`;
+    showConnectionsView();
+    updateCacheInfo();
     applyFilters();
   });
 
@@ -611,4 +1924,645 @@
       alert('Failed to copy: ' + err.message);
     }
   });
+
+  // ---- Snapshots ----
+
+  const SNAPSHOT_DIFF_LIMIT = 200; // Max rows rendered per diff group
+
+  const btnSnapshots = $('btn-snapshots');
+  const snapshotViewer = $('snapshot-viewer');
+  const snapshotFrom = $('snapshot-from');
+  const snapshotTo = $('snapshot-to');
+  const snapshotResults = $('snapshot-results');
+  const btnCompareSnapshots = $('btn-compare-snapshots');
+  const btnCloseSnapshots = $('btn-close-snapshots');
+
+  function formatSnapshotDate(ts) {
+    return new Date(ts).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+  }
+
+  async function loadSnapshotList() {
+    const snapshots = await SnapshotStore.list();
+
+    if (snapshots.length < 2) {
+      snapshotFrom.innerHTML = '';
+      snapshotTo.innerHTML = '';
+      btnCompareSnapshots.disabled = true;
+      snapshotResults.innerHTML = '<div class="panel-view__empty">' +
+        (snapshots.length === 0
+          ? 'No snapshots yet. A snapshot is saved after every completed fetch.'
+          : 'Only one snapshot so far. Fetch again later to compare.') +
+        '</div>';
+      return;
+    }
+
+    const options = snapshots.map(snap =>
+      `<option value="${snap.id}">${formatSnapshotDate(snap.takenAt)} (${snap.count})</option>`
+    ).join('');
+    snapshotFrom.innerHTML = options;
+    snapshotTo.innerHTML = options;
+
+    // Default: previous snapshot -> latest snapshot
+    snapshotTo.value = snapshots[0].id;
+    snapshotFrom.value = snapshots[1].id;
+    btnCompareSnapshots.disabled = false;
+    snapshotResults.innerHTML = '';
+  }
+
+  function renderDiffItem(conn) {
+    const name = conn.profileUrl
+      ? `<a class="diff-item__name" href="${escapeHtml(conn.profileUrl)}" target="_blank" rel="noopener">${escapeHtml(conn.name)}</a>`
+      : `<span class="diff-item__name">${escapeHtml(conn.name)}</span>`;
+    return `<div class="diff-item">${name}` +
+      `<div class="diff-item__headline">${escapeHtml(conn.headline || 'No headline')}</div></div>`;
+  }
+
+  function renderHeadlineChange({ before, after }) {
+    const name = after.profileUrl
+      ? `<a class="diff-item__name" href="${escapeHtml(after.profileUrl)}" target="_blank" rel="noopener">${escapeHtml(after.name)}</a>`
+      : `<span class="diff-item__name">${escapeHtml(after.name)}</span>`;
+    return `<div class="diff-item">${name}` +
+      `<div class="diff-item__headline diff-item__headline--old">${escapeHtml(before.headline || 'No headline')}</div>` +
+      `<div class="diff-item__headline">${escapeHtml(after.headline || 'No headline')}</div></div>`;
+  }
+
+  function renderDiffGroup(title, modifier, items, renderItem) {
+    let html = `<div class="diff-group"><div class="diff-group__title diff-group__title--${modifier}">${title} (${items.length})</div>`;
+    html += items.slice(0, SNAPSHOT_DIFF_LIMIT).map(renderItem).join('');
+    if (items.length > SNAPSHOT_DIFF_LIMIT) {
+      html += `<div class="diff-item"><em>...and ${items.length - SNAPSHOT_DIFF_LIMIT} more</em></div>`;
+    }
+    return html + '</div>';
+  }
+
+  btnSnapshots.addEventListener('click', async () => {
+    snapshotViewer.style.display = 'flex';
+    try {
+      await loadSnapshotList();
+    } catch (err) {
+      snapshotResults.innerHTML = `<div class="panel-view__empty">Failed to load snapshots: ${escapeHtml(err.message)}</div>`;
+    }
+  });
+
+  btnCloseSnapshots.addEventListener('click', () => {
+    snapshotViewer.style.display = 'none';
+  });
+
+  btnCompareSnapshots.addEventListener('click', async () => {
+    if (snapshotFrom.value === snapshotTo.value) {
+      snapshotResults.innerHTML = '<div class="panel-view__empty">Pick two different snapshots.</div>';
+      return;
+    }
+
+    snapshotResults.innerHTML = '<div class="panel-view__empty">Comparing...</div>';
+    try {
+      const result = await SnapshotStore.compare(snapshotFrom.value, snapshotTo.value);
+      snapshotResults.innerHTML =
+        renderDiffGroup('New connections', 'added', result.added, renderDiffItem) +
+        renderDiffGroup('Disappeared (not removed by you)', 'dropped', result.dropped, renderDiffItem) +
+        renderDiffGroup('Headline changed', 'changed', result.headlineChanged, renderHeadlineChange) +
+        renderDiffGroup('Removed by you', 'removed', result.removedByYou, renderDiffItem);
+    } catch (err) {
+      snapshotResults.innerHTML = `<div class="panel-view__empty">Compare failed: ${escapeHtml(err.message)}</div>`;
+    }
+  });
+
+  // ---- Export ----
+
+  const btnExport = $('btn-export');
+  const exportModal = $('export-modal');
+  const exportScope = $('export-scope');
+  const exportFormat = $('export-format');
+  const exportColumnsRow = $('export-columns-row');
+  const exportColumns = $('export-columns');
+  const btnExportCancel = $('btn-export-cancel');
+  const btnExportDownload = $('btn-export-download');
+
+  exportColumns.innerHTML = Exporter.FIELDS.map(field =>
+    `<label><input type="checkbox" value="${field.key}" checked> ${field.label}</label>`
+  ).join('');
+
+  function getExportConnections(scope) {
+    if (scope === 'filtered') return filteredConnections;
+    if (scope === 'selected') return getSelectedConnections();
+    return allConnections;
+  }
+
+  btnExport.addEventListener('click', () => {
+    // Show counts for each scope so the user knows what they'll get
+    for (const option of exportScope.options) {
+      const label = option.textContent.replace(/ \(\d+\)$/, '');
+      option.textContent = `${label} (${getExportConnections(option.value).length})`;
+    }
+    exportScope.value = selectedUrns.size > 0 ? 'selected' : 'filtered';
+    exportColumnsRow.style.display = exportFormat.value === 'csv' ? 'block' : 'none';
+    exportModal.style.display = 'flex';
+  });
+
+  exportFormat.addEventListener('change', () => {
+    exportColumnsRow.style.display = exportFormat.value === 'csv' ? 'block' : 'none';
+  });
+
+  btnExportCancel.addEventListener('click', () => {
+    exportModal.style.display = 'none';
+  });
+
+  btnExportDownload.addEventListener('click', () => {
+    const connections = getExportConnections(exportScope.value);
+    const basename = `linkedin-connections-${exportScope.value}-${fileDateStamp()}`;
+
+    switch (exportFormat.value) {
+      case 'json':
+        downloadFile(`${basename}.json`, 'application/json', Exporter.toJson(connections));
+        break;
+      case 'vcard':
+        downloadFile(`${basename}.vcf`, 'text/vcard', Exporter.toVCard(connections));
+        break;
+      default: {
+        const fields = [...exportColumns.querySelectorAll('input:checked')].map(input => input.value);
+        if (fields.length === 0) {
+          alert('Choose at least one column to export.');
+          return;
+        }
+        downloadFile(`${basename}.csv`, 'text/csv', Exporter.toCsv(connections, fields));
+      }
+    }
+
+    Logger.info(TAG, 'Exported connections', { scope: exportScope.value, format: exportFormat.value, count: connections.length });
+    exportModal.style.display = 'none';
+  });
+
+  // ---- Import ----
+
+  const IMPORT_RENDER_LIMIT = 100;
+
+  const btnImport = $('btn-import');
+  const importView = $('import-view');
+  const importText = $('import-text');
+  const importFile = $('import-file');
+  const importResults = $('import-results');
+  const importActions = $('import-actions');
+  const btnImportMatch = $('btn-import-match');
+  const btnImportSelect = $('btn-import-select');
+  const btnImportFilter = $('btn-import-filter');
+  const btnImportProtect = $('btn-import-protect');
+  const btnCloseImport = $('btn-close-import');
+
+  let importMatches = [];  // Connections matched by the last import
+
+  function renderImportResults(result) {
+    const matchedHtml = result.matched.slice(0, IMPORT_RENDER_LIMIT).map(({ connection }) => renderDiffItem(connection)).join('');
+    const unmatchedHtml = result.unmatched.slice(0, IMPORT_RENDER_LIMIT).map(id =>
+      `<div class="diff-item">${escapeHtml(id.raw)}` +
+      (id.type === 'invalid' ? ' <em>(not a profile URL, identifier or URN)</em>' : '') +
+      `</div>`
+    ).join('');
+
+    importResults.innerHTML =
+      `<div class="diff-group"><div class="diff-group__title diff-group__title--added">Matched (${result.matched.length})</div>${matchedHtml}` +
+      (result.matched.length > IMPORT_RENDER_LIMIT ? `<div class="diff-item"><em>...and ${result.matched.length - IMPORT_RENDER_LIMIT} more</em></div>` : '') +
+      `</div>` +
+      `<div class="diff-group"><div class="diff-group__title diff-group__title--dropped">Not found in your connections (${result.unmatched.length})</div>${unmatchedHtml}` +
+      (result.unmatched.length > IMPORT_RENDER_LIMIT ? `<div class="diff-item"><em>...and ${result.unmatched.length - IMPORT_RENDER_LIMIT} more</em></div>` : '') +
+      `</div>`;
+  }
+
+  btnImport.addEventListener('click', () => {
+    importView.style.display = 'flex';
+    importText.focus();
+  });
+
+  btnCloseImport.addEventListener('click', () => {
+    importView.style.display = 'none';
+  });
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    if (!file) return;
+    importText.value = await file.text();
+    importFile.value = '';
+    btnImportMatch.click();
+  });
+
+  btnImportMatch.addEventListener('click', () => {
+    const ids = IdentifierList.parse(importText.value);
+    const result = IdentifierList.match(ids, allConnections);
+
+    // Several identifiers can point at the same person
+    const unique = new Map(result.matched.map(m => [m.connection.connectionUrn, m.connection]));
+    importMatches = [...unique.values()];
+
+    renderImportResults(result);
+    importActions.style.display = importMatches.length > 0 ? 'flex' : 'none';
+    Logger.info(TAG, 'Import matched', { identifiers: ids.length, matched: importMatches.length, unmatched: result.unmatched.length });
+  });
+
+  btnImportSelect.addEventListener('click', () => {
+    const reason = `imported list (${importMatches.length})`;
+    for (const conn of importMatches) {
+      if (!selectedUrns.has(conn.connectionUrn)) selectionReasons.set(conn.connectionUrn, reason);
+      selectedUrns.add(conn.connectionUrn);
+    }
+    importView.style.display = 'none';
+    renderConnectionList();
+    updateSelectionUI();
+  });
+
+  btnImportFilter.addEventListener('click', () => {
+    setListFilter({
+      label: 'Imported list',
+      urns: new Set(importMatches.map(c => c.connectionUrn)),
+    });
+    importView.style.display = 'none';
+  });
+
+  btnImportProtect.addEventListener('click', async () => {
+    try {
+      protectedList = await Protection.add(importMatches);
+      btnImportProtect.textContent = `Protected ${importMatches.length}`;
+      setTimeout(() => { btnImportProtect.textContent = 'Protect Matches'; }, 2000);
+      renderConnectionList();
+    } catch (err) {
+      alert('Failed to protect: ' + err.message);
+    }
+  });
+
+  // ---- Protected Connections ----
+
+  const btnProtected = $('btn-protected');
+  const protectedViewer = $('protected-viewer');
+  const protectedEntries = $('protected-entries');
+  const btnCloseProtected = $('btn-close-protected');
+  const ruleRecentDays = $('rule-recent-days');
+  const ruleKeywords = $('rule-keywords');
+  const ruleCompanies = $('rule-companies');
+  const btnSaveRules = $('btn-save-rules');
+  const rulesStatus = $('rules-status');
+
+  function splitList(value) {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  function renderProtectionRules() {
+    const rules = protectionRules || {};
+    ruleRecentDays.value = rules.recentDays || '';
+    ruleKeywords.value = (rules.keywords || []).join(', ');
+    ruleCompanies.value = (rules.companies || []).join(', ');
+    rulesStatus.textContent = '';
+  }
+
+  function renderProtectedList() {
+    const entries = Object.entries(protectedList).sort((a, b) => b[1].addedAt - a[1].addedAt);
+    if (entries.length === 0) {
+      protectedEntries.innerHTML = '<div class="panel-view__empty">No protected connections. Star a connection to protect it.</div>';
+      return;
+    }
+    protectedEntries.innerHTML = entries.map(([key, entry]) =>
+      `<div class="diff-item protected-entry">` +
+      `<div>${entry.profileUrl
+        ? `<a class="diff-item__name" href="${escapeHtml(entry.profileUrl)}" target="_blank" rel="noopener">${escapeHtml(entry.name)}</a>`
+        : `<span class="diff-item__name">${escapeHtml(entry.name)}</span>`}` +
+      `<div class="diff-item__headline">${escapeHtml(entry.headline || 'No headline')}</div></div>` +
+      `<button class="link-btn" data-key="${escapeHtml(key)}">Unprotect</button>` +
+      `</div>`
+    ).join('');
+  }
+
+  btnProtected.addEventListener('click', () => {
+    protectedViewer.style.display = 'flex';
+    renderProtectionRules();
+    renderProtectedList();
+  });
+
+  btnCloseProtected.addEventListener('click', () => {
+    protectedViewer.style.display = 'none';
+    renderConnectionList();
+  });
+
+  btnSaveRules.addEventListener('click', async () => {
+    try {
+      protectionRules = await Protection.saveRules({
+        recentDays: ruleRecentDays.value,
+        keywords: splitList(ruleKeywords.value),
+        companies: splitList(ruleCompanies.value),
+      });
+      renderProtectionRules();
+      rulesStatus.textContent = 'Saved';
+      Logger.info(TAG, 'Protection rules saved', protectionRules);
+    } catch (err) {
+      alert('Failed to save rules: ' + err.message);
+    }
+  });
+
+  protectedEntries.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-key]');
+    if (!btn) return;
+    try {
+      protectedList = await Protection.remove([btn.dataset.key]);
+      renderProtectedList();
+    } catch (err) {
+      alert('Failed to unprotect: ' + err.message);
+    }
+  });
+
+  // ---- Job Functions ----
+
+  const btnEditFunctions = $('btn-edit-functions');
+  const functionsViewer = $('functions-viewer');
+  const functionsList = $('functions-list');
+  const functionsStatus = $('functions-status');
+  const btnCloseFunctions = $('btn-close-functions');
+  const btnAddFunction = $('btn-add-function');
+  const btnSaveFunctions = $('btn-save-functions');
+  const btnResetFunctions = $('btn-reset-functions');
+
+  /**
+   * Fill the Job Title dropdown, keeping the current choice if it still exists.
+   */
+  function renderFunctionOptions() {
+    const current = filterFunction.value;
+    filterFunction.innerHTML = '<option value="">Any job function</option>' + jobFunctions
+      .map(fn => `<option value="${escapeHtml(fn.id)}">${escapeHtml(fn.label)}</option>`)
+      .join('');
+    filterFunction.value = jobFunctions.some(fn => fn.id === current) ? current : '';
+  }
+
+  function renderFunctionEditorRow(fn) {
+    return `
+      <div class="function-editor" data-id="${escapeHtml(fn.id || '')}">
+        <div class="function-editor__header">
+          <input type="text" class="filter-input function-editor__label" value="${escapeHtml(fn.label)}" placeholder="Function name">
+          <button class="link-btn function-editor__remove">Remove</button>
+        </div>
+        <textarea class="filter-input function-editor__synonyms" rows="3"
+          placeholder="Comma-separated, e.g. recruiter, talent acquisition">${escapeHtml(fn.synonyms.join(', '))}</textarea>
+      </div>`;
+  }
+
+  function renderFunctionEditor() {
+    functionsList.innerHTML = jobFunctions.map(renderFunctionEditorRow).join('');
+  }
+
+  /**
+   * Read the edited functions back out of the editor.
+   */
+  function readFunctionEditor() {
+    return [...functionsList.querySelectorAll('.function-editor')].map(row => ({
+      id: row.dataset.id,
+      label: row.querySelector('.function-editor__label').value,
+      synonyms: splitList(row.querySelector('.function-editor__synonyms').value),
+    }));
+  }
+
+  btnEditFunctions.addEventListener('click', () => {
+    renderFunctionEditor();
+    functionsStatus.textContent = '';
+    functionsViewer.style.display = 'flex';
+  });
+
+  btnCloseFunctions.addEventListener('click', () => {
+    functionsViewer.style.display = 'none';
+  });
+
+  btnAddFunction.addEventListener('click', () => {
+    functionsList.insertAdjacentHTML('afterbegin', renderFunctionEditorRow({ label: '', synonyms: [] }));
+    functionsList.querySelector('.function-editor__label').focus();
+  });
+
+  functionsList.addEventListener('click', (e) => {
+    if (e.target.closest('.function-editor__remove')) {
+      e.target.closest('.function-editor').remove();
+    }
+  });
+
+  btnSaveFunctions.addEventListener('click', async () => {
+    try {
+      jobFunctions = await Taxonomy.saveFunctions(readFunctionEditor());
+      renderFunctionEditor();
+      renderFunctionOptions();
+      applyFilters();
+      functionsStatus.textContent = 'Saved';
+      Logger.info(TAG, 'Job functions saved', { count: jobFunctions.length });
+    } catch (err) {
+      alert('Failed to save job functions: ' + err.message);
+    }
+  });
+
+  btnResetFunctions.addEventListener('click', async () => {
+    if (!confirm('Replace your job functions with the built-in list?')) return;
+    try {
+      jobFunctions = await Taxonomy.reset();
+      renderFunctionEditor();
+      renderFunctionOptions();
+      applyFilters();
+      functionsStatus.textContent = 'Reset to defaults';
+    } catch (err) {
+      alert('Failed to reset job functions: ' + err.message);
+    }
+  });
+
+  // ---- Removal Limits ----
+
+  const btnLimits = $('btn-limits');
+  const limitsViewer = $('limits-viewer');
+  const quotaPerDay = $('quota-per-day');
+  const quotaPerWeek = $('quota-per-week');
+  const btnSaveQuota = $('btn-save-quota');
+  const quotaStatus = $('quota-status');
+  const quotaUsage = $('quota-usage');
+  const scheduleEnabled = $('schedule-enabled');
+  const scheduleDays = $('schedule-days');
+  const scheduleStart = $('schedule-start');
+  const scheduleEnd = $('schedule-end');
+  const btnSaveSchedule = $('btn-save-schedule');
+  const scheduleStatus = $('schedule-status');
+  const scheduleNext = $('schedule-next');
+  const btnCloseLimits = $('btn-close-limits');
+
+  // Monday first
+  scheduleDays.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day =>
+    `<label><input type="checkbox" value="${day}"> ${RemovalSchedule.DAY_NAMES[day]}</label>`
+  ).join('');
+
+  async function loadLimits() {
+    try {
+      const [settings, log] = await Promise.all([RemovalQuota.getSettings(), RemovalQuota.getLog()]);
+      quotaPerDay.value = settings.perDay;
+      quotaPerWeek.value = settings.perWeek;
+      quotaStatus.textContent = '';
+
+      const { windows, blockedUntil } = RemovalQuota.evaluate(settings, log);
+      let usage = 'Used: ' + windows
+        .map(w => `${w.used}${w.limit > 0 ? ` of ${w.limit}` : ''} in the last ${w.label}`)
+        .join(', ') + '.';
+      if (blockedUntil) usage += ` Next removal allowed ${new Date(blockedUntil).toLocaleString()}.`;
+      quotaUsage.textContent = usage;
+    } catch (err) {
+      quotaUsage.textContent = `Failed to load quotas: ${err.message}`;
+    }
+  }
+
+  async function loadSchedule() {
+    try {
+      const schedule = await RemovalSchedule.getSettings();
+      scheduleEnabled.checked = schedule.enabled;
+      scheduleStart.value = schedule.start;
+      scheduleEnd.value = schedule.end;
+      for (const input of scheduleDays.querySelectorAll('input')) {
+        input.checked = schedule.days.includes(Number(input.value));
+      }
+      scheduleStatus.textContent = '';
+
+      const next = schedule.enabled ? RemovalSchedule.nextWindow(schedule) : null;
+      scheduleNext.textContent = !schedule.enabled
+        ? 'Removals can run at any time.'
+        : RemovalSchedule.isOpen(schedule)
+          ? `${RemovalSchedule.describe(schedule)}. The window is open now.`
+          : `${RemovalSchedule.describe(schedule)}. Next window opens ${new Date(next.opens).toLocaleString()}.`;
+    } catch (err) {
+      scheduleNext.textContent = `Failed to load schedule: ${err.message}`;
+    }
+  }
+
+  btnLimits.addEventListener('click', () => {
+    limitsViewer.style.display = 'flex';
+    loadLimits();
+    loadSchedule();
+  });
+
+  btnCloseLimits.addEventListener('click', () => {
+    limitsViewer.style.display = 'none';
+  });
+
+  btnSaveQuota.addEventListener('click', async () => {
+    try {
+      const settings = await RemovalQuota.saveSettings({ perDay: quotaPerDay.value, perWeek: quotaPerWeek.value });
+      await loadLimits();
+      quotaStatus.textContent = 'Saved';
+      Logger.info(TAG, 'Removal quotas saved', settings);
+    } catch (err) {
+      alert('Failed to save quotas: ' + err.message);
+    }
+  });
+
+  btnSaveSchedule.addEventListener('click', async () => {
+    try {
+      const schedule = await RemovalSchedule.saveSettings({
+        enabled: scheduleEnabled.checked,
+        days: [...scheduleDays.querySelectorAll('input:checked')].map(input => Number(input.value)),
+        start: scheduleStart.value,
+        end: scheduleEnd.value,
+      });
+      await loadSchedule();
+      scheduleStatus.textContent = 'Saved';
+      Logger.info(TAG, 'Removal schedule saved', schedule);
+    } catch (err) {
+      alert('Failed to save schedule: ' + err.message);
+    }
+  });
+
+  // ---- Removal History ----
+
+  const HISTORY_RENDER_LIMIT = 500;
+
+  const btnHistory = $('btn-history');
+  const historyViewer = $('history-viewer');
+  const historyOutcomeFilter = $('history-outcome-filter');
+  const historyEntries = $('history-entries');
+  const btnExportHistoryCsv = $('btn-export-history-csv');
+  const btnExportHistoryJson = $('btn-export-history-json');
+  const btnCloseHistory = $('btn-close-history');
+
+  async function getHistoryEntries() {
+    const outcome = historyOutcomeFilter.value;
+    return AuditLedger.getEntries(outcome ? { outcome } : {});
+  }
+
+  async function loadHistory() {
+    try {
+      const entries = await getHistoryEntries();
+
+      if (entries.length === 0) {
+        historyEntries.innerHTML = '<div class="panel-view__empty">No removal attempts recorded yet.</div>';
+        return;
+      }
+
+      // Render entries newest first
+      const visible = entries.slice().reverse().slice(0, HISTORY_RENDER_LIMIT);
+      let html = visible.map(entry => {
+        const name = entry.profileUrl
+          ? `<a class="diff-item__name" href="${escapeHtml(entry.profileUrl)}" target="_blank" rel="noopener">${escapeHtml(entry.name)}</a>`
+          : `<span class="diff-item__name">${escapeHtml(entry.name)}</span>`;
+        const details = [
+          new Date(entry.ts).toLocaleString(),
+          entry.strategy ? `strategy ${entry.strategy}` : '',
+          entry.httpStatus ? `HTTP ${entry.httpStatus}` : '',
+        ].filter(Boolean).join(' · ');
+        return `<div class="history-entry">` +
+          `<span class="history-entry__outcome history-entry__outcome--${entry.outcome}">${entry.outcome}</span> ${name}` +
+          `<div class="diff-item__headline">${escapeHtml(entry.headline || 'No headline')}</div>` +
+          `<div class="history-entry__meta">${escapeHtml(details)}</div>` +
+          `<div class="history-entry__meta">Selected by: ${escapeHtml(entry.filterText || 'unknown')}</div>` +
+          (entry.error ? `<div class="history-entry__meta history-entry__meta--error">${escapeHtml(entry.error)}</div>` : '') +
+          `</div>`;
+      }).join('');
+      if (entries.length > HISTORY_RENDER_LIMIT) {
+        html += `<div class="panel-view__empty">Showing the latest ${HISTORY_RENDER_LIMIT} of ${entries.length}. Export for the full history.</div>`;
+      }
+      historyEntries.innerHTML = html;
+      historyEntries.scrollTop = 0;
+    } catch (err) {
+      historyEntries.innerHTML = `<div class="panel-view__empty">Failed to load history: ${escapeHtml(err.message)}</div>`;
+    }
+  }
+
+  btnHistory.addEventListener('click', () => {
+    historyViewer.style.display = 'flex';
+    loadHistory();
+  });
+
+  btnCloseHistory.addEventListener('click', () => {
+    historyViewer.style.display = 'none';
+  });
+
+  historyOutcomeFilter.addEventListener('change', loadHistory);
+
+  btnExportHistoryCsv.addEventListener('click', async () => {
+    const entries = await getHistoryEntries();
+    downloadFile(`removal-history-${fileDateStamp()}.csv`, 'text/csv', AuditLedger.toCsv(entries));
+  });
+
+  btnExportHistoryJson.addEventListener('click', async () => {
+    const entries = await getHistoryEntries();
+    downloadFile(`removal-history-${fileDateStamp()}.json`, 'application/json', AuditLedger.toJson(entries));
+  });
+
+  // ---- Init ----
+
+  renderFunctionOptions();
+  renderPresetOptions();
+  listSort.innerHTML = Object.entries(ListOrder.SORTS)
+    .map(([key, sort]) => `<option value="${key}">${sort.label}</option>`).join('');
+  listGroup.innerHTML = '<option value="">None</option>' + Object.entries(ListOrder.GROUPS)
+    .map(([key, group]) => `<option value="${key}">${group.label}</option>`).join('');
+  Promise.all([
+    Protection.getList(), Protection.getRules(), Annotations.getAll(), Taxonomy.getFunctions(), FilterPresets.list(),
+  ])
+    .then(([list, rules, stored, functions, presets]) => {
+      protectedList = list;
+      protectionRules = rules;
+      annotations = stored;
+      jobFunctions = functions;
+      updateTagSuggestions();
+      renderFunctionOptions();
+      setPresets(presets);
+    })
+    .catch(err => Logger.warn(TAG, 'Failed to load local settings', { error: err.message }))
+    .finally(async () => {
+      await loadCachedConnections();
+      restoreRemovalJob();
+    });
+  setInterval(updateCacheInfo, 60000);
 })();
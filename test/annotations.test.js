@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const setup = () => load(['lib/annotations.js']);
+const person = n => ({ entityUrn: `e${n}`, connectionUrn: `c${n}` });
+
+test('a note save and a bulk tag change made together both land', async () => {
+  const { Annotations } = setup();
+  await Promise.all([
+    Annotations.setNote(person(1), 'Met at the conference'),
+    Annotations.addTag([person(1), person(2)], ' Follow-Up '),
+    Annotations.addTag([person(2)], 'vip'),
+  ]);
+  assert.deepStrictEqual(plain(await Annotations.getAll()), {
+    e1: { tags: ['follow-up'], note: 'Met at the conference' },
+    e2: { tags: ['follow-up', 'vip'], note: '' },
+  });
+});
+
+test('entries left empty are dropped', async () => {
+  const { Annotations } = setup();
+  await Annotations.addTag([person(1)], 'vip');
+  await Annotations.setNote(person(2), 'hello');
+  await Promise.all([
+    Annotations.removeTag([person(1)], 'VIP'),
+    Annotations.setNote(person(2), '   '),
+  ]);
+  assert.deepStrictEqual(plain(await Annotations.getAll()), {});
+});
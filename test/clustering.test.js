@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { Clustering } = load(['lib/text-match.js', 'lib/facets.js', 'lib/clustering.js']);
+
+const HEADLINES = [
+  'Blockchain founder building crypto wallets',
+  'Crypto blockchain founder and investor',
+  'Founder at a crypto blockchain startup',
+  'Blockchain crypto founder, web3',
+  'Student of computer science at university',
+  'University student studying computer science',
+  'Computer science student, university of Leeds',
+  'Student at university, computer science major',
+];
+const connections = HEADLINES.map((headline, i) => ({ connectionUrn: `c${i}`, headline }));
+
+test('separates clearly different headlines', () => {
+  const { segments, unclustered } = Clustering.cluster(connections, { k: 2 });
+  assert.strictEqual(segments.length, 2);
+  assert.strictEqual(unclustered, 0);
+  const groups = segments.map(s => s.connections.map(c => c.connectionUrn).sort().join(','));
+  assert.deepStrictEqual(plain(groups.sort()), ['c0,c1,c2,c3', 'c4,c5,c6,c7']);
+});
+
+test('is deterministic', () => {
+  const first = Clustering.cluster(connections, { k: 2 });
+  const second = Clustering.cluster(connections, { k: 2 });
+  assert.deepStrictEqual(first.segments.map(s => s.label), second.segments.map(s => s.label));
+});
+
+test('too few usable headlines give no segments', () => {
+  const few = [{ headline: 'Engineer' }, { headline: '' }, { headline: 'Engineer' }];
+  const result = Clustering.cluster(few);
+  assert.strictEqual(result.segments.length, 0);
+  assert.strictEqual(result.unclustered, 3);
+});
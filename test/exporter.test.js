@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { Exporter, Csv } = load(['lib/csv.js', 'lib/exporter.js']);
+
+const CONNECTED_AT = Date.UTC(2021, 4, 6, 10, 30);
+const ada = {
+  name: 'Ada Lovelace',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  headline: 'Engineer, "Analyst"\nand 🚀 founder',
+  company: 'Acme; Inc',
+  profileUrl: 'https://www.linkedin.com/in/ada',
+  entityUrn: 'urn:li:fsd_profile:ADA',
+  connectedAt: CONNECTED_AT,
+};
+
+const octets = line => Buffer.byteLength(line, 'utf8');
+const unfold = text => text.replace(/\r\n /g, '');
+const LONE_SURROGATE_RE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+test('CSV quotes commas, quotes and newlines and keeps non-BMP characters', () => {
+  const csv = Exporter.toCsv([ada], ['firstName', 'headline', 'connectedAt']);
+  assert.strictEqual(csv, [
+    'First Name,Headline,Connected At',
+    'Ada,"Engineer, ""Analyst""\nand 🚀 founder",2021-05-06T10:30:00.000Z',
+  ].join('\r\n'));
+  // Round-trips through the CSV parser used by imports
+  assert.strictEqual(Csv.parse(csv)[1][1], ada.headline);
+});
+
+test('CSV columns follow FIELDS order, not the order asked for', () => {
+  const csv = Exporter.toCsv([ada], ['profileUrl', 'lastName']);
+  assert.strictEqual(csv.split('\r\n')[0], 'Last Name,Profile URL');
+});
+
+test('JSON has every field, null when missing', () => {
+  const [row] = JSON.parse(Exporter.toJson([{ firstName: 'Ada', headline: ada.headline }]));
+  assert.deepStrictEqual(Object.keys(row), plain(Exporter.FIELDS.map(f => f.key)));
+  assert.strictEqual(row.headline, ada.headline);
+  assert.strictEqual(row.company, null);
+});
+
+test('vCard escapes special characters', () => {
+  const card = unfold(Exporter.toVCard([ada]));
+  assert.ok(card.startsWith('BEGIN:VCARD\r\nVERSION:3.0\r\nN:Lovelace;Ada;;;\r\nFN:Ada Lovelace\r\n'));
+  assert.ok(card.includes('TITLE:Engineer\\, "Analyst"\\nand 🚀 founder\r\n'));
+  assert.ok(card.includes('ORG:Acme\\; Inc\r\n'));
+  assert.ok(card.includes('NOTE:LinkedIn connection since 2021-05-06\r\n'));
+  assert.ok(card.endsWith('END:VCARD\r\n'));
+});
+
+test('vCard folds at 75 octets without splitting characters', () => {
+  for (let pad = 0; pad < 6; pad++) {
+    const headline = 'x'.repeat(60 + pad) + '🚀é'.repeat(30) + ' Ünïcødé';
+    const card = Exporter.toVCard([{ ...ada, headline }]);
+    const lines = card.split('\r\n');
+    assert.ok(lines.every(line => octets(line) <= 75), `pad ${pad}`);
+    assert.ok(!LONE_SURROGATE_RE.test(card), `pad ${pad}`);
+    assert.ok(unfold(card).includes(`TITLE:${headline}\r\n`), `pad ${pad}`);
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { HeadlineAnalyzer } = load(['lib/headline-analyzer.js']);
+
+const seniority = headline => HeadlineAnalyzer.analyze(headline).seniority;
+
+test('splits title and company', () => {
+  assert.deepStrictEqual(plain(HeadlineAnalyzer.analyze('Senior Recruiter at Acme | Hiring')), {
+    jobTitle: 'Senior Recruiter',
+    company: 'Acme',
+    seniority: 'senior',
+  });
+});
+
+test('chief officers are c-level', () => {
+  assert.strictEqual(seniority('Chief Executive Officer'), 'c-level');
+  assert.strictEqual(seniority('Chief Technology Officer at Acme'), 'c-level');
+  assert.strictEqual(seniority('CFO'), 'c-level');
+});
+
+test('"chief" alone is not c-level', () => {
+  assert.strictEqual(seniority('Chief of Staff'), '');
+  assert.strictEqual(seniority('Chief Engineer'), '');
+});
+
+test('owners are c-level, product owners are not', () => {
+  assert.strictEqual(seniority('Business Owner'), 'c-level');
+  assert.strictEqual(seniority('Owner at Acme Bakery'), 'c-level');
+  assert.strictEqual(seniority('Owner of a small agency'), 'c-level');
+  assert.strictEqual(seniority('Co-Owner'), 'c-level');
+  assert.strictEqual(seniority('Product Owner'), '');
+  assert.strictEqual(seniority('Senior Product Owner at Acme'), 'senior');
+});
+
+test('"staff" only counts before an engineering role', () => {
+  assert.strictEqual(seniority('Staff Software Engineer'), 'lead');
+  assert.strictEqual(seniority('Staff Engineer at Acme'), 'lead');
+  assert.strictEqual(seniority('Staff Accountant'), '');
+  assert.strictEqual(seniority('Senior Staff Accountant'), 'senior');
+});
+
+test('"lead" needs a role next to it', () => {
+  assert.strictEqual(seniority('Lead Software Engineer'), 'lead');
+  assert.strictEqual(seniority('Lead Data Scientist at Acme'), 'lead');
+  assert.strictEqual(seniority('Tech Lead'), 'lead');
+  assert.strictEqual(seniority('Engineering Lead'), 'lead');
+  assert.strictEqual(seniority('Lead Generation Specialist'), '');
+  assert.strictEqual(seniority('Lead Gen Consultant'), '');
+  assert.strictEqual(seniority('Leading digital transformation'), '');
+});
+
+test('the highest matching level wins', () => {
+  assert.strictEqual(seniority('Senior Director of Engineering'), 'director');
+  assert.strictEqual(seniority('Vice President, Sales'), 'vp');
+  assert.strictEqual(seniority('Junior Developer'), 'junior');
+});
@@ -0,0 +1,62 @@
+/**
+ * Loads lib/ modules for unit tests. The modules are browser scripts that
+ * define globals (no exports), so each test gets a fresh vm context with them
+ * evaluated in order, plus an in-memory chrome.storage.local.
+ * Run the suite with: node --test test/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    data,
+    async get(key) {
+      return { [key]: clone(data[key]) };
+    },
+    async set(items) {
+      Object.assign(data, clone(items));
+    },
+    async remove(key) {
+      delete data[key];
+    },
+  };
+}
+
+/**
+ * @param {Array<string>} files - Paths relative to the repo root, in load order
+ * @param {{storage?: Object}} options - Initial storage contents
+ * @returns {Object} - The context; modules are its properties (ctx.Query, ...)
+ */
+function load(files, options = {}) {
+  const storage = createStorage(options.storage);
+  const context = vm.createContext({
+    chrome: { storage: { local: storage } },
+    console,
+    setTimeout,
+    clearTimeout,
+  });
+  for (const file of files) {
+    // Top-level const declarations don't become context properties; expose them explicitly
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const name = /^const (\w+) = \(\(\) => \{/m.exec(source)?.[1];
+    vm.runInContext(name ? `${source}\nthis.${name} = ${name};` : source, context, { filename: file });
+  }
+  context.storage = storage.data;
+  return context;
+}
+
+/**
+ * Copy a value out of a vm context so deepStrictEqual doesn't trip over the
+ * context's own Object and Array prototypes.
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load, plain };
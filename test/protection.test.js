@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const setup = () => load(['lib/text-match.js', 'lib/protection.js']);
+const person = n => ({ entityUrn: `e${n}`, connectionUrn: `c${n}`, name: `Person ${n}` });
+
+test('concurrent adds and removes all land', async () => {
+  const ctx = setup();
+  await Promise.all([
+    ctx.Protection.add([person(1)]),
+    ctx.Protection.add([person(2)]),
+    ctx.Protection.add([person(3)]),
+    ctx.Protection.remove(['e1']),
+  ]);
+  assert.deepStrictEqual(Object.keys(plain(await ctx.Protection.getList())), ['e2', 'e3']);
+});
+
+test('a failed write does not block the next one', async () => {
+  const ctx = setup();
+  const set = ctx.chrome.storage.local.set;
+  ctx.chrome.storage.local.set = async () => { throw new Error('QUOTA_BYTES quota exceeded'); };
+  await assert.rejects(ctx.Protection.add([person(1)]), /quota exceeded/);
+  ctx.chrome.storage.local.set = set;
+  await ctx.Protection.add([person(2)]);
+  assert.deepStrictEqual(Object.keys(plain(await ctx.Protection.getList())), ['e2']);
+});
+
+test('rules protect recent connections, keywords and companies', () => {
+  const ctx = setup();
+  const rules = { recentDays: 30, keywords: ['recruiter'], companies: ['Acme'] };
+  const now = Date.UTC(2026, 0, 31);
+  assert.strictEqual(ctx.Protection.matchRules({ connectedAt: now - 86400000, headline: '' }, rules, now),
+    'connected within 30 days');
+  assert.strictEqual(ctx.Protection.matchRules({ headline: 'Tech Récruiter' }, rules, now), 'headline matches "recruiter"');
+  assert.strictEqual(ctx.Protection.matchRules({ headline: 'Engineer at ACME' }, rules, now), 'works at "Acme"');
+  assert.strictEqual(ctx.Protection.matchRules({ headline: 'Engineer' }, rules, now), null);
+});
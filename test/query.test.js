@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { Query, TextMatch } = load(['lib/text-match.js', 'lib/query.js']);
+
+const people = {
+  ada: { name: 'Ada Lovelace', title: 'Senior Recruiter', company: 'Acme', tags: ['vip'], connectedAt: new Date(2019, 5, 15).getTime() },
+  bob: { name: 'Bob Müller', title: 'Talent Partner', company: 'Initech', tags: [], connectedAt: new Date(2021, 0, 3).getTime() },
+  cy: { name: 'Cy Young', title: 'Vice President Sales', company: '', tags: [], connectedAt: null },
+};
+
+function resolve(conn, field) {
+  switch (field) {
+    case 'name': return TextMatch.fold(conn.name);
+    case 'title': return TextMatch.fold(conn.title);
+    case 'company': return TextMatch.fold(conn.company);
+    case 'tag': return conn.tags;
+    case 'has': return ['headline', ...(conn.company ? ['company'] : []), ...(conn.tags.length ? ['tag'] : [])];
+    case 'connected': return conn.connectedAt;
+    default: return TextMatch.fold(`${conn.name} ${conn.title} ${conn.company}`);
+  }
+}
+
+function search(text, mode) {
+  const ast = Query.parse(text);
+  return Object.keys(people).filter(key => Query.evaluate(ast, people[key], resolve, mode));
+}
+
+test('terms are ANDed, and OR, commas and NOT work', () => {
+  assert.deepStrictEqual(search('recruiter acme'), ['ada']);
+  assert.deepStrictEqual(search('recruiter OR talent'), ['ada', 'bob']);
+  assert.deepStrictEqual(search('recruiter, talent'), ['ada', 'bob']);
+  assert.deepStrictEqual(search('NOT recruiter'), ['bob', 'cy']);
+  assert.deepStrictEqual(search('-recruiter -talent'), ['cy']);
+});
+
+test('lowercase operators are search terms', () => {
+  assert.deepStrictEqual(plain(Query.parse('sales and marketing')), {
+    type: 'and',
+    children: [
+      { type: 'term', field: 'any', value: 'sales', phrase: false },
+      { type: 'term', field: 'any', value: 'and', phrase: false },
+      { type: 'term', field: 'any', value: 'marketing', phrase: false },
+    ],
+  });
+});
+
+test('grouping binds tighter than AND', () => {
+  assert.deepStrictEqual(search('(recruiter OR partner) AND initech'), ['bob']);
+  assert.deepStrictEqual(search('recruiter OR partner initech'), ['ada', 'bob']);
+});
+
+test('field prefixes, phrases and accents', () => {
+  assert.deepStrictEqual(search('title:"vice president"'), ['cy']);
+  assert.deepStrictEqual(search('name:muller'), ['bob']);
+  assert.deepStrictEqual(search('tag:vip'), ['ada']);
+  assert.deepStrictEqual(search('-has:company'), ['cy']);
+});
+
+test('match mode applies to text fields', () => {
+  assert.deepStrictEqual(search('recruit', 'contains'), ['ada']);
+  assert.deepStrictEqual(search('recruit', 'word'), []);
+  assert.deepStrictEqual(search('recruit', 'prefix'), ['ada']);
+});
+
+test('date comparisons cover whole years, months and days', () => {
+  assert.deepStrictEqual(search('connected:<2020'), ['ada']);
+  assert.deepStrictEqual(search('connected:>=2021'), ['bob']);
+  assert.deepStrictEqual(search('connected:2019-06'), ['ada']);
+  assert.deepStrictEqual(search('connected:<=2019-06-15'), ['ada']);
+  assert.deepStrictEqual(search('connected:>2019-06-15'), ['bob']);
+});
+
+test('an empty query matches everyone', () => {
+  assert.strictEqual(Query.parse('   '), null);
+  assert.deepStrictEqual(search(''), ['ada', 'bob', 'cy']);
+});
+
+test('syntax errors carry the position', () => {
+  const cases = [
+    ['title:"vice president', 'Unclosed quote', 6],
+    ['(a OR b', 'Missing closing parenthesis', 7],
+    ['a )', 'Unexpected ")"', 2],
+    ['title:', 'Missing value after "title:"', 0],
+    ['connected:soon', 'Invalid date "soon" (use e.g. <2020 or >=2019-06)', 0],
+    ['a OR', 'Unexpected end of query', 4],
+  ];
+  for (const [text, message, position] of cases) {
+    assert.throws(() => Query.parse(text), err => err.message === message && err.position === position, text);
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { RemovalDetector } = load(['lib/removal-detector.js']);
+
+const PAGE_SIZE = 10;
+const people = (prefix, count) => Array.from({ length: count }, (_, i) => ({ connectionUrn: `${prefix}${i}` }));
+
+/**
+ * Serve the live list page by page, counting fetches. Pages the incremental
+ * walk already saw are passed in up front, as refreshConnections does.
+ */
+function setup(cached, live, walkedPages = 1) {
+  const fetched = [];
+  const pages = new Map();
+  for (let p = 0; p < walkedPages; p++) pages.set(p * PAGE_SIZE, live.slice(p * PAGE_SIZE, (p + 1) * PAGE_SIZE));
+  const fetchPage = async start => {
+    fetched.push(start);
+    return live.slice(start, start + PAGE_SIZE);
+  };
+  return { pages, fetchPage, fetched };
+}
+
+async function locate(cached, live, addedCount = 0, walkedPages = 1) {
+  const { pages, fetchPage, fetched } = setup(cached, live, walkedPages);
+  const removed = await RemovalDetector.locate({
+    cached, total: live.length, addedCount, pageSize: PAGE_SIZE, pages, fetchPage,
+  });
+  return { removed: removed && [...removed].sort(), fetched };
+}
+
+test('finds a single removal deep in the list with few page fetches', async () => {
+  const cached = people('c', 200);
+  const live = cached.filter(c => c.connectionUrn !== 'c137');
+  const { removed, fetched } = await locate(cached, live);
+  assert.deepStrictEqual(removed, ['c137']);
+  assert.ok(fetched.length <= 6, `fetched ${fetched.length} pages`);
+});
+
+test('finds removals at the front, in the middle and at the very end', async () => {
+  const cached = people('c', 95);
+  const gone = new Set(['c0', 'c42', 'c43', 'c94']);
+  const live = cached.filter(c => !gone.has(c.connectionUrn));
+  const { removed } = await locate(cached, live);
+  assert.deepStrictEqual(removed, [...gone].sort());
+});
+
+test('accounts for new connections at the front', async () => {
+  const cached = people('c', 60);
+  const live = [...people('new', 3), ...cached.filter(c => c.connectionUrn !== 'c30')];
+  const { removed } = await locate(cached, live, 3);
+  assert.deepStrictEqual(removed, ['c30']);
+});
+
+test('handles new connections spanning several pages with a removal near the top', async () => {
+  for (const addedCount of [15, 20, 25]) {
+    const cached = people('c', 80);
+    const live = [...people('new', addedCount), ...cached.filter(c => c.connectionUrn !== 'c3')];
+    // Alone, and with the pages the incremental walk already fetched
+    for (const walked of [1, Math.floor(addedCount / PAGE_SIZE) + 1]) {
+      const { removed } = await locate(cached, live, addedCount, walked);
+      assert.deepStrictEqual(removed, ['c3'], `${addedCount} new, ${walked} pages walked`);
+    }
+  }
+});
+
+test('returns an empty set when nothing was removed', async () => {
+  const cached = people('c', 30);
+  const { removed, fetched } = await locate(cached, cached);
+  assert.deepStrictEqual(removed, []);
+  assert.strictEqual(fetched.length, 0);
+});
+
+test('gives up when the live list has people the cache never had', async () => {
+  const cached = people('c', 50);
+  const live = [...cached.slice(0, 25), { connectionUrn: 'stranger' }, ...cached.slice(27)];
+  const { removed } = await locate(cached, live);
+  assert.strictEqual(removed, null);
+});
+
+test('gives up when the live list is longer than the cache', async () => {
+  const cached = people('c', 20);
+  const { removed } = await locate(cached, people('c', 25));
+  assert.strictEqual(removed, null);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const setup = () => load(['lib/csv.js', 'lib/removal-queue.js']);
+const people = count => Array.from({ length: count }, (_, i) => ({
+  name: `Person ${i}`,
+  connectionUrn: `c${i}`,
+  profileUrl: `https://www.linkedin.com/in/p${i}`,
+  profilePicture: 'https://media.example.com/p.jpg',
+}));
+
+test('create keeps only the fields the worker needs', async () => {
+  const { RemovalQueue } = setup();
+  const job = await RemovalQueue.create(people(2), { dryRun: true, spreadDays: '3' });
+  assert.strictEqual(job.state, 'running');
+  assert.strictEqual(job.dryRun, true);
+  assert.strictEqual(job.spreadDays, 3);
+  assert.deepStrictEqual(plain(job.items[0]), {
+    connection: { name: 'Person 0', connectionUrn: 'c0', profileUrl: 'https://www.linkedin.com/in/p0' },
+    status: 'pending',
+    attempts: 0,
+    error: '',
+    offsetMs: null,
+  });
+});
+
+test('only one unfinished job at a time', async () => {
+  const { RemovalQueue } = setup();
+  await RemovalQueue.create(people(1));
+  await assert.rejects(RemovalQueue.create(people(1)), /JOB_IN_PROGRESS/);
+  await RemovalQueue.update(job => { job.state = 'paused'; });
+  await assert.rejects(RemovalQueue.create(people(1)), /JOB_IN_PROGRESS/);
+  await RemovalQueue.update(job => { job.state = 'done'; });
+  await RemovalQueue.create(people(3));
+  assert.strictEqual((await RemovalQueue.get()).items.length, 3);
+});
+
+test('concurrent updates all land', async () => {
+  const { RemovalQueue } = setup();
+  await RemovalQueue.create(people(5));
+  await Promise.all([0, 1, 2, 3, 4].map(i => RemovalQueue.update(job => { job.items[i].status = 'removed'; })));
+  const job = await RemovalQueue.get();
+  assert.ok(job.items.every(item => item.status === 'removed'));
+});
+
+test('update without a job resolves to null, and clear removes it', async () => {
+  const { RemovalQueue, storage } = setup();
+  assert.strictEqual(await RemovalQueue.update(() => assert.fail('no job to update')), null);
+  await RemovalQueue.create(people(1));
+  await RemovalQueue.clear();
+  assert.strictEqual(storage.lcm_removal_job, undefined);
+});
+
+test('summarize counts outcomes', async () => {
+  const { RemovalQueue } = setup();
+  const job = await RemovalQueue.create(people(5));
+  ['removed', 'skipped', 'failed', 'simulated'].forEach((status, i) => { job.items[i].status = status; });
+  job.items[2].error = 'Not found';
+  const summary = plain(RemovalQueue.summarize(job));
+  assert.strictEqual(summary.total, 5);
+  assert.strictEqual(summary.processed, 4);
+  assert.strictEqual(summary.completed, 2);
+  assert.deepStrictEqual(summary.removed, ['c0']);
+  assert.deepStrictEqual(summary.skipped, ['c1']);
+  assert.deepStrictEqual(summary.failed, [{ name: 'Person 2', error: 'Not found' }]);
+});
+
+test('spreadUntil holds once the day\'s share is used, carrying unused shares over', async () => {
+  const { RemovalQueue } = setup();
+  const job = await RemovalQueue.create(people(10), { spreadDays: 3 });
+  const start = job.createdAt;
+  assert.strictEqual(RemovalQueue.spreadUntil(job, start), null);
+  for (let i = 0; i < 4; i++) job.items[i].status = 'removed';
+  assert.strictEqual(RemovalQueue.spreadUntil(job, start + 1000), start + DAY_MS);
+  // Day 3 allows all 12 shares so far, even though day 2 went unused
+  assert.strictEqual(RemovalQueue.spreadUntil(job, start + 2 * DAY_MS + 1000), null);
+  job.spreadDays = 0;
+  assert.strictEqual(RemovalQueue.spreadUntil(job, start + 1000), null);
+});
+
+test('formatOffset', () => {
+  const { RemovalQueue } = setup();
+  assert.strictEqual(RemovalQueue.formatOffset(0), '0:00');
+  assert.strictEqual(RemovalQueue.formatOffset(270000), '4:30');
+  assert.strictEqual(RemovalQueue.formatOffset(3909000), '1:05:09');
+});
+
+test('reports show estimated starts for dry runs only', async () => {
+  const { RemovalQueue } = setup();
+  const job = await RemovalQueue.create(people(2), { dryRun: true });
+  job.items[0].status = 'simulated';
+  job.items[0].offsetMs = 0;
+  job.items[1].status = 'simulated';
+  job.items[1].offsetMs = 90000;
+  const dry = RemovalQueue.toReportCsv(job).split('\r\n');
+  assert.strictEqual(dry[0], 'Order,Name,Headline,Profile URL,Outcome,Reason,Estimated start,Selected by');
+  assert.strictEqual(dry[2], '2,Person 1,,https://www.linkedin.com/in/p1,Would remove,,1:30,');
+
+  job.dryRun = false;
+  job.items.forEach(item => { item.status = 'removed'; item.offsetMs = null; });
+  const real = RemovalQueue.toReportCsv(job).split('\r\n');
+  assert.strictEqual(real[0], 'Order,Name,Headline,Profile URL,Outcome,Reason,Selected by');
+  assert.strictEqual(real[1], '1,Person 0,,https://www.linkedin.com/in/p0,Removed,,');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 10, 12);
+
+test('quotas are off until set', async () => {
+  const { RemovalQuota } = load(['lib/removal-quota.js']);
+  assert.deepStrictEqual(plain(await RemovalQuota.getSettings()), { perDay: 0, perWeek: 0 });
+  const log = Array.from({ length: 500 }, (_, i) => NOW - i * 1000);
+  assert.strictEqual(RemovalQuota.evaluate({ perDay: 0, perWeek: 0 }, log, NOW).blockedUntil, null);
+});
+
+test('saveSettings cleans its input', async () => {
+  const { RemovalQuota, storage } = load(['lib/removal-quota.js']);
+  assert.deepStrictEqual(plain(await RemovalQuota.saveSettings({ perDay: '25', perWeek: -3 })), { perDay: 25, perWeek: 0 });
+  assert.deepStrictEqual(storage.lcm_removal_quota, { perDay: 25, perWeek: 0 });
+});
+
+test('record keeps only removals within the longest window', async () => {
+  const { RemovalQuota, storage } = load(['lib/removal-quota.js'], {
+    storage: { lcm_removal_quota_log: [NOW - 8 * 24 * HOUR_MS, NOW - 2 * 24 * HOUR_MS] },
+  });
+  await RemovalQuota.record(NOW);
+  assert.deepStrictEqual(storage.lcm_removal_quota_log, [NOW - 2 * 24 * HOUR_MS, NOW]);
+});
+
+test('a full window blocks until its oldest counted removal ages out', () => {
+  const { RemovalQuota } = load(['lib/removal-quota.js']);
+  const log = [NOW - 30 * HOUR_MS, NOW - 5 * HOUR_MS, NOW - 3 * HOUR_MS, NOW - HOUR_MS];
+  const result = plain(RemovalQuota.evaluate({ perDay: 3, perWeek: 0 }, log, NOW));
+  assert.deepStrictEqual(result.windows.map(w => [w.key, w.used, w.limit]), [['perDay', 3, 3], ['perWeek', 4, 0]]);
+  assert.strictEqual(result.blockedUntil, NOW - 5 * HOUR_MS + 24 * HOUR_MS);
+  assert.strictEqual(result.blockedBy.key, 'perDay');
+  assert.strictEqual(RemovalQuota.evaluate({ perDay: 4, perWeek: 0 }, log, NOW).blockedUntil, null);
+});
+
+test('the window that stays full longest decides', () => {
+  const { RemovalQuota } = load(['lib/removal-quota.js']);
+  const log = [NOW - 6 * 24 * HOUR_MS, NOW - 2 * HOUR_MS, NOW - HOUR_MS];
+  const result = RemovalQuota.evaluate({ perDay: 2, perWeek: 3 }, log, NOW);
+  assert.strictEqual(result.blockedBy.key, 'perWeek');
+  assert.strictEqual(result.blockedUntil, NOW + 24 * HOUR_MS);
+});
+
+test('check reads settings and log from storage', async () => {
+  const { RemovalQuota } = load(['lib/removal-quota.js'], {
+    storage: { lcm_removal_quota: { perDay: 1, perWeek: 0 }, lcm_removal_quota_log: [NOW - HOUR_MS] },
+  });
+  assert.strictEqual((await RemovalQuota.check(NOW)).blockedUntil, NOW + 23 * HOUR_MS);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { RemovalSchedule } = load(['lib/removal-schedule.js']);
+
+// Local times, so the tests hold in any time zone. 2026-03-13 is a Friday
+const at = (day, hours, minutes = 0) => new Date(2026, 2, day, hours, minutes).getTime();
+const weekdays = { enabled: true, days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+
+test('a disabled schedule is always open', () => {
+  assert.strictEqual(RemovalSchedule.isOpen({ ...weekdays, enabled: false }, at(14, 3)), true);
+});
+
+test('open only inside the window on chosen days', () => {
+  assert.strictEqual(RemovalSchedule.isOpen(weekdays, at(13, 9)), true);
+  assert.strictEqual(RemovalSchedule.isOpen(weekdays, at(13, 17, 59)), true);
+  assert.strictEqual(RemovalSchedule.isOpen(weekdays, at(13, 18)), false);
+  assert.strictEqual(RemovalSchedule.isOpen(weekdays, at(13, 8, 59)), false);
+  assert.strictEqual(RemovalSchedule.isOpen(weekdays, at(14, 12)), false);
+});
+
+test('nextWindow finds the current or the next window', () => {
+  assert.deepStrictEqual(plain(RemovalSchedule.nextWindow(weekdays, at(13, 12))), { opens: at(13, 12), closes: at(13, 18) });
+  assert.deepStrictEqual(plain(RemovalSchedule.nextWindow(weekdays, at(13, 7))), { opens: at(13, 9), closes: at(13, 18) });
+  // Friday evening: next is Monday morning
+  assert.deepStrictEqual(plain(RemovalSchedule.nextWindow(weekdays, at(13, 19))), { opens: at(16, 9), closes: at(16, 18) });
+  assert.strictEqual(RemovalSchedule.nextWindow({ ...weekdays, days: [] }, at(13, 19)), null);
+});
+
+test('saveSettings rejects windows that never open', async () => {
+  await assert.rejects(RemovalSchedule.saveSettings({ ...weekdays, start: '9am' }), /times like 09:00/);
+  await assert.rejects(RemovalSchedule.saveSettings({ ...weekdays, end: '09:00' }), /must end after it starts/);
+  await assert.rejects(RemovalSchedule.saveSettings({ ...weekdays, days: [9] }), /at least one day/);
+});
+
+test('saveSettings cleans and stores the days', async () => {
+  const ctx = load(['lib/removal-schedule.js']);
+  const saved = await ctx.RemovalSchedule.saveSettings({ enabled: 1, days: ['5', 1, 1, 3], start: '10:00', end: '12:00' });
+  assert.deepStrictEqual(plain(saved), { enabled: true, days: [1, 3, 5], start: '10:00', end: '12:00' });
+  assert.deepStrictEqual(plain(await ctx.RemovalSchedule.getSettings()), plain(saved));
+});
+
+test('describe', () => {
+  assert.strictEqual(RemovalSchedule.describe(weekdays), 'Mon-Fri 09:00-18:00');
+  assert.strictEqual(RemovalSchedule.describe({ ...weekdays, days: [1, 3, 6] }), 'Mon, Wed, Sat 09:00-18:00');
+  assert.strictEqual(RemovalSchedule.describe({ ...weekdays, days: [0, 1, 2, 3, 4, 5, 6] }), 'Every day 09:00-18:00');
+});
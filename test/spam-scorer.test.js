@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { SpamScorer } = load(['lib/text-match.js', 'lib/facets.js', 'lib/spam-scorer.js']);
+
+const person = fields => ({
+  name: 'Ada Lovelace',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  headline: 'Software Engineer at Acme',
+  profilePicture: 'https://media.example.com/ada.jpg',
+  ...fields,
+});
+
+test('an ordinary profile scores zero', () => {
+  assert.deepStrictEqual(plain(SpamScorer.score(person({}))), { score: 0, reasons: [] });
+});
+
+test('ordinary job titles are not spam keywords', () => {
+  for (const headline of [
+    'Investment Manager at Northwind',
+    'Ethical Hacker | Security Researcher',
+    'Head of Growth, 10k followers',
+    'Disaster Recovery Expert',
+    'Forex Analyst at a central bank',
+    'Lion Brewery Sales Lead',
+  ]) {
+    const { reasons } = SpamScorer.score(person({ headline }));
+    assert.ok(!reasons.some(r => r.startsWith('spam keywords')), `${headline}: ${reasons}`);
+  }
+});
+
+test('scam phrases are flagged, capped at two keywords', () => {
+  const result = SpamScorer.score(person({
+    headline: 'Bitcoin investment expert | Guaranteed returns | Fund recovery',
+  }));
+  assert.strictEqual(result.score, 40);
+  assert.deepStrictEqual(plain(result.reasons), ['spam keywords: bitcoin investment, fund recovery, guaranteed returns']);
+});
+
+test('a missing photo uses the facets definition', () => {
+  const result = SpamScorer.score(person({ profilePicture: 'data:image/gif;base64,R0lGOD' }));
+  assert.deepStrictEqual(plain(result.reasons), ['no profile photo']);
+});
+
+test('contact details and name problems add up', () => {
+  const result = SpamScorer.score(person({ name: 'Ada99', headline: 'Call +1 (555) 123-4567' }));
+  assert.deepStrictEqual(plain(result.reasons), ['contact details in headline', 'digits in name']);
+  assert.strictEqual(result.score, 35);
+});
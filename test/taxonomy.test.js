@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const setup = () => load(['lib/text-match.js', 'lib/taxonomy.js']);
+const { Taxonomy } = setup();
+const recruiting = Taxonomy.DEFAULT_FUNCTIONS.find(fn => fn.id === 'recruiting');
+
+test('matches synonyms as whole words, ignoring accents and case', () => {
+  assert.ok(Taxonomy.matches('Senior Talent Acquisition Partner', recruiting));
+  assert.ok(Taxonomy.matches('CHARGE DE RECRUTEMENT chez Acme', recruiting));
+  assert.ok(!Taxonomy.matches('Resourceful engineer', recruiting));
+  assert.ok(!Taxonomy.matches('', recruiting));
+});
+
+test('classify lists every matching function', () => {
+  assert.deepStrictEqual(plain(Taxonomy.classify('Recruiter | Sales', Taxonomy.DEFAULT_FUNCTIONS)), ['recruiting', 'sales']);
+});
+
+test('saveFunctions cleans entries and keeps ids unique', async () => {
+  const ctx = setup();
+  const saved = await ctx.Taxonomy.saveFunctions([
+    { label: 'Growth', synonyms: [' Growth Hacker ', 'growth hacker', ''] },
+    { label: 'Growth', synonyms: ['growth marketing'] },
+    { label: '', synonyms: ['ignored'] },
+    { label: 'Empty', synonyms: [] },
+  ]);
+  assert.deepStrictEqual(plain(saved), [
+    { id: 'growth', label: 'Growth', synonyms: ['growth hacker'] },
+    { id: 'growth-2', label: 'Growth', synonyms: ['growth marketing'] },
+  ]);
+  assert.ok(ctx.Taxonomy.matches('Growth Marketing Lead', saved[1]));
+  assert.deepStrictEqual(plain(await ctx.Taxonomy.getFunctions()), plain(saved));
+
+  await ctx.Taxonomy.reset();
+  assert.strictEqual((await ctx.Taxonomy.getFunctions()).length, ctx.Taxonomy.DEFAULT_FUNCTIONS.length);
+});
+
+test('a new function above one with the same label does not take its id', async () => {
+  const ctx = setup();
+  const saved = await ctx.Taxonomy.saveFunctions([
+    { id: '', label: 'Recruiting', synonyms: ['campus recruiter'] },
+    { id: 'recruiting', label: 'Recruiting', synonyms: ['recruiter'] },
+    { id: '', label: 'Sales', synonyms: ['sales'] },
+  ]);
+  assert.deepStrictEqual(plain(saved).map(fn => [fn.id, fn.synonyms[0]]), [
+    ['recruiting-2', 'campus recruiter'],
+    ['recruiting', 'recruiter'],
+    ['sales', 'sales'],
+  ]);
+});
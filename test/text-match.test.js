@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { TextMatch } = load(['lib/text-match.js']);
+
+const find = (text, needle, mode) => TextMatch.matches(TextMatch.fold(text), TextMatch.fold(needle), mode);
+
+test('fold drops accents and case', () => {
+  assert.strictEqual(TextMatch.fold('Gérente de Área'), 'gerente de area');
+  assert.strictEqual(TextMatch.fold('Straße'), 'strasse');
+  assert.strictEqual(TextMatch.fold('Ørsted Łódź'), 'orsted lodz');
+  assert.strictEqual(TextMatch.fold(null), '');
+});
+
+test('accents are ignored in both directions', () => {
+  for (const mode of TextMatch.MODES) {
+    assert.ok(find('Gérente Comercial', 'gerente', mode), mode);
+    assert.ok(find('Gerente Comercial', 'Gérente', mode), mode);
+  }
+});
+
+test('"ß" matches "ss"', () => {
+  assert.ok(find('Leiter Großkunden', 'grosskunden', 'word'));
+  assert.ok(find('Leiter Grosskunden', 'Großkunden', 'word'));
+});
+
+test('whole words and prefixes don\'t match inside words', () => {
+  assert.ok(find('cHRistopher, three', 'HR', 'contains'));
+  for (const mode of ['word', 'prefix']) {
+    assert.ok(!find('Christopher', 'HR', mode), mode);
+    assert.ok(!find('tHRee', 'HR', mode), mode);
+    assert.ok(find('HR Business Partner', 'HR', mode), mode);
+    assert.ok(find('Head of People/HR', 'HR', mode), mode);
+  }
+});
+
+test('prefix matches the start of a word, word needs the whole word', () => {
+  assert.ok(find('Recruiting Lead', 'recruit', 'prefix'));
+  assert.ok(!find('Recruiting Lead', 'recruit', 'word'));
+  assert.ok(find('Recruiting Lead', 'recruiting', 'word'));
+});
+
+test('needles ending in punctuation only need a boundary on their word side', () => {
+  assert.ok(find('Senior C++ Developer', 'c++', 'word'));
+  assert.ok(find('C++/Rust engineer', 'c++', 'word'));
+  assert.ok(!find('ABC++ Developer', 'c++', 'word'));
+  assert.ok(find('.NET developer', '.net', 'word'));
+});
+
+test('an empty needle matches everything', () => {
+  assert.ok(TextMatch.matches('anything', '', 'word'));
+});
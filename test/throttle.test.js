@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { Throttle } = load(['lib/throttle.js']);
+
+const MINUTE_MS = 60 * 1000;
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.UTC(2026, 0, 1, 12);
+  assert.strictEqual(Throttle.parseRetryAfter('120', now), 120000);
+  assert.strictEqual(Throttle.parseRetryAfter(' 5 ', now), 5000);
+  assert.strictEqual(Throttle.parseRetryAfter('Thu, 01 Jan 2026 12:02:00 GMT', now), 120000);
+  assert.strictEqual(Throttle.parseRetryAfter('Thu, 01 Jan 2026 11:00:00 GMT', now), 0);
+  assert.strictEqual(Throttle.parseRetryAfter('soon', now), null);
+  assert.strictEqual(Throttle.parseRetryAfter(null, now), null);
+});
+
+test('backoff doubles per strike up to a ceiling', () => {
+  let state = Throttle.initial();
+  const waits = [];
+  for (let i = 0; i < 6; i++) {
+    const event = Throttle.onThrottled(state, null, MINUTE_MS);
+    state = event.state;
+    waits.push(event.waitMs / MINUTE_MS);
+  }
+  assert.deepStrictEqual(waits, [1, 2, 4, 8, 15, 15]);
+  assert.strictEqual(state.level, 4);
+});
+
+test('Retry-After wins when longer, up to an hour', () => {
+  const state = Throttle.initial();
+  assert.strictEqual(Throttle.onThrottled(state, 10 * MINUTE_MS, MINUTE_MS).waitMs, 10 * MINUTE_MS);
+  assert.strictEqual(Throttle.onThrottled(state, 1000, MINUTE_MS).waitMs, MINUTE_MS);
+  assert.strictEqual(Throttle.onThrottled(state, 5 * 60 * MINUTE_MS, MINUTE_MS).waitMs, 60 * MINUTE_MS);
+});
+
+test('a success resets the backoff but not the slowdown', () => {
+  let state = Throttle.onThrottled(Throttle.initial(), null, MINUTE_MS).state;
+  state = Throttle.onThrottled(state, null, MINUTE_MS).state;
+  state = Throttle.onSuccess(state);
+  assert.deepStrictEqual(plain(state), { strikes: 0, level: 2, successes: 1 });
+  assert.strictEqual(Throttle.onThrottled(state, null, MINUTE_MS).waitMs, MINUTE_MS);
+  assert.strictEqual(Throttle.delayFactor(state), 2.25);
+});
+
+test('ten successes in a row ease one slowdown level', () => {
+  let state = { strikes: 0, level: 2, successes: 0 };
+  for (let i = 0; i < 9; i++) state = Throttle.onSuccess(state);
+  assert.strictEqual(state.level, 2);
+  state = Throttle.onSuccess(state);
+  assert.deepStrictEqual(plain(state), { strikes: 0, level: 1, successes: 0 });
+  assert.strictEqual(Throttle.delayFactor(Throttle.initial()), 1);
+});